@@ -0,0 +1,43 @@
+const fs = require('fs');
+
+// Every change to a schema is appended to schemas/.audit.log as a line of JSON, and the file is never rewritten:
+//   { "timestamp": ..., "user": ..., "action": ..., "schema": ..., ...details }
+// Unlike revision metadata, the user is who the server authenticated, not the author name they gave.
+const AUDIT_PATH = __dirname + '/../schemas/.audit.log';
+
+function record(user, action, schema, details) {
+  let entry = Object.assign({
+    timestamp: new Date().toISOString(),
+    user: user ? user.name : null,
+    action: action,
+    schema: schema,
+  }, details);
+  fs.appendFileSync(AUDIT_PATH, JSON.stringify(entry) + '\n');
+}
+
+// Returns the entries about a schema, including those from when it had a different name, newest first
+function list(schema) {
+  let log;
+  try {
+    log = fs.readFileSync(AUDIT_PATH, 'utf8');
+  } catch (err) {
+    if (err.code == 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  let names = new Set([schema]);
+  return log.split('\n').filter(line => line).map(line => JSON.parse(line)).reverse().filter(entry => {
+    if (entry.action == 'rename' && names.has(entry.newName)) {
+      names.add(entry.schema);
+      return true;
+    }
+    return names.has(entry.schema) || (entry.action == 'copy' && names.has(entry.newName));
+  });
+}
+
+module.exports = {
+  record: record,
+  list: list,
+};
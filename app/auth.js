@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Users are identified in one of these modes, set by "auth" in server-config.json:
+//   none   everyone is an anonymous admin, for running the server on one machine
+//   local  users log in with a password from the users file, and get a session cookie
+//   proxy  a trusted reverse proxy authenticates users and passes their name in a header; it must strip that header from
+//          requests it receives, or anyone could claim to be anyone. The header is only read from requests that come from
+//          one of the "trustedProxies" addresses, which must be set in this mode.
+// In both local and proxy modes, roles come from the users file, which maps names to a password hash and per-schema roles:
+//   { "alice": { "password": "scrypt:<salt>:<hash>", "roles": { "*": "viewer", "billing": "editor" } } }
+// "*" is the role for every schema without its own. Create entries with `node user.js`.
+const ROLES = ['viewer', 'editor', 'admin'];
+const MODES = ['none', 'local', 'proxy'];
+const SESSION_COOKIE = 'schema-session';
+
+let config = {
+  auth: 'none',
+  usersFile: 'users.json',
+  proxyHeader: 'X-Forwarded-User',
+  // Roles for proxy users without an entry in the users file
+  proxyDefaultRoles: {},
+  // Addresses the proxy connects from, e.g. ["127.0.0.1"]
+  trustedProxies: [],
+  sessionHours: 12,
+};
+
+// Sessions only live as long as the server, so restarting it logs everyone out
+let sessions = new Map();
+
+function configure(options) {
+  config = Object.assign({}, config, options);
+  if (MODES.indexOf(config.auth) < 0) {
+    throw new TypeError(`Unknown auth mode "${config.auth}"`);
+  }
+  if (config.auth == 'proxy' && (!Array.isArray(config.trustedProxies) || !config.trustedProxies.length)) {
+    throw new TypeError('Proxy auth needs "trustedProxies", the addresses the proxy connects from');
+  }
+}
+
+function mode() {
+  return config.auth;
+}
+
+// The file is read on each use, so users can be added or changed without restarting the server
+function readUsers() {
+  try {
+    return JSON.parse(fs.readFileSync(config.usersFile, 'utf8'));
+  } catch (err) {
+    if (err.code == 'ENOENT') {
+      return {};
+    }
+    throw err;
+  }
+}
+
+// Users are looked up as own properties, so that names like "constructor" aren't found on Object.prototype
+function findUser(users, name) {
+  return Object.prototype.hasOwnProperty.call(users, name) ? users[name] : null;
+}
+
+function hashPassword(password) {
+  let salt = crypto.randomBytes(16).toString('hex');
+  let hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+function checkPassword(password, stored) {
+  let parts = typeof stored == 'string' ? stored.split(':') : [];
+  if (parts.length != 3 || parts[0] != 'scrypt') {
+    return false;
+  }
+  let expected = Buffer.from(parts[2], 'hex');
+  let actual = crypto.scryptSync(password, parts[1], expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Values are left encoded, as other apps on the same host can set cookies that aren't valid to decode
+function parseCookies(header) {
+  let cookies = {};
+  (header || '').split(';').forEach(pair => {
+    let idx = pair.indexOf('=');
+    if (idx > 0) {
+      cookies[pair.slice(0, idx).trim()] = pair.slice(idx + 1).trim();
+    }
+  });
+  return cookies;
+}
+
+// Reads headers directly rather than with Express, so WebSocket connections can be authenticated too
+function header(req, name) {
+  return req.headers[name.toLowerCase()];
+}
+
+// IPv4 addresses can be given as is, although they're seen as IPv4-mapped IPv6 addresses when the server listens on both
+function isTrustedProxy(req) {
+  let address = (req.socket.remoteAddress || '').replace(/^::ffff:(?=[0-9.]+$)/, '');
+  return config.trustedProxies.indexOf(address) > -1;
+}
+
+function sessionToken(req) {
+  let value = parseCookies(header(req, 'Cookie'))[SESSION_COOKIE];
+  try {
+    return value ? decodeURIComponent(value) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Returns a session token, or null if the name or password is wrong
+function login(name, password) {
+  let user = findUser(readUsers(), name);
+  if (config.auth != 'local' || !user || typeof password != 'string' || !checkPassword(password, user.password)) {
+    return null;
+  }
+  let token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, {
+    name: name,
+    expires: Date.now() + config.sessionHours * 60 * 60 * 1000,
+  });
+  return token;
+}
+
+function logout(token) {
+  sessions.delete(token);
+}
+
+function sessionCookie(token) {
+  let maxAge = token ? config.sessionHours * 60 * 60 : 0;
+  return `${SESSION_COOKIE}=${token || ''}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+// Returns the user making the request as { name, roles }, or null if they haven't logged in
+function authenticate(req) {
+  if (config.auth == 'none') {
+    return {
+      name: null,
+      roles: { '*': 'admin' },
+    };
+  }
+
+  let name;
+  if (config.auth == 'proxy') {
+    name = isTrustedProxy(req) ? header(req, config.proxyHeader) : null;
+  } else {
+    let token = sessionToken(req);
+    let session = token && sessions.get(token);
+    if (session && session.expires <= Date.now()) {
+      sessions.delete(token);
+      session = null;
+    }
+    name = session && session.name;
+  }
+  if (!name) {
+    return null;
+  }
+
+  let user = findUser(readUsers(), name);
+  return {
+    name: name,
+    roles: user ? user.roles || {} : config.auth == 'proxy' ? config.proxyDefaultRoles : {},
+  };
+}
+
+function roleFor(user, schemaName) {
+  if (!user) {
+    return null;
+  }
+  let role = Object.prototype.hasOwnProperty.call(user.roles, schemaName) ? user.roles[schemaName] : user.roles['*'];
+  return ROLES.indexOf(role) > -1 ? role : null;
+}
+
+// Each role can do everything the roles before it can
+function hasRole(user, schemaName, role) {
+  return ROLES.indexOf(roleFor(user, schemaName)) >= ROLES.indexOf(role);
+}
+
+module.exports = {
+  ROLES: ROLES,
+  configure: configure,
+  mode: mode,
+  readUsers: readUsers,
+  findUser: findUser,
+  hashPassword: hashPassword,
+  sessionToken: sessionToken,
+  login: login,
+  logout: logout,
+  sessionCookie: sessionCookie,
+  authenticate: authenticate,
+  roleFor: roleFor,
+  hasRole: hasRole,
+};
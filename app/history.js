@@ -0,0 +1,234 @@
+const fs = require('fs');
+const JsDiff = require('diff');
+
+// Revisions are kept next to the schemas as:
+//   schemas/.history/<name>/index.json       list of revision metadata, oldest first
+//   schemas/.history/<name>/<revision>.json  schema JSON as saved in that revision
+// Lint settings aren't part of the schema, so they aren't versioned and are kept as:
+//   schemas/.lint/<name>.json                rule IDs mapped to whether they are on
+// Deleted schemas are moved with their history and lint settings into schemas/.trash/<name>-<time>/.
+// Everything here is synchronous so that recording a revision can't interleave with another save.
+const SCHEMAS_DIR = __dirname + '/../schemas';
+const HISTORY_DIR = SCHEMAS_DIR + '/.history';
+const TRASH_DIR = SCHEMAS_DIR + '/.trash';
+const LINT_DIR = SCHEMAS_DIR + '/.lint';
+
+function schemaPath(name) {
+  return `${SCHEMAS_DIR}/${name}.json`;
+}
+
+function historyPath(name) {
+  return `${HISTORY_DIR}/${name}`;
+}
+
+function lintPath(name) {
+  return `${LINT_DIR}/${name}.json`;
+}
+
+function readIfExists(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    if (err.code == 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+function getCurrent(name) {
+  return readIfExists(schemaPath(name));
+}
+
+function listRevisions(name) {
+  let index = readIfExists(`${historyPath(name)}/index.json`);
+  return index == null ? [] : JSON.parse(index);
+}
+
+function getRevision(name, revision) {
+  if (!listRevisions(name).some(r => r.revision === revision)) {
+    return null;
+  }
+  return fs.readFileSync(`${historyPath(name)}/${revision}.json`, 'utf8');
+}
+
+function appendRevision(name, json, meta) {
+  let dir = historyPath(name);
+  if (!fs.existsSync(HISTORY_DIR)) {
+    fs.mkdirSync(HISTORY_DIR);
+  }
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+  }
+
+  let revisions = listRevisions(name);
+  let entry = {
+    revision: revisions.length ? revisions[revisions.length - 1].revision + 1 : 1,
+    timestamp: new Date().toISOString(),
+    author: meta.author || null,
+    message: meta.message || null,
+  };
+
+  fs.writeFileSync(`${dir}/${entry.revision}.json`, json);
+  revisions.push(entry);
+  fs.writeFileSync(`${dir}/index.json`, JSON.stringify(revisions, null, 4));
+
+  return entry;
+}
+
+// Writes the schema and records it as a new revision
+function save(name, json, meta) {
+  // Keep whatever was on disk before history was being recorded, so the first save doesn't lose it
+  if (!listRevisions(name).length) {
+    let existing = readIfExists(schemaPath(name));
+    if (existing != null) {
+      appendRevision(name, existing, { message: 'Version before history was recorded' });
+    }
+  }
+
+  let entry = appendRevision(name, json, meta);
+  fs.writeFileSync(schemaPath(name), json);
+  return entry;
+}
+
+// Schemas without lint settings have every rule on
+function getLintConfig(name) {
+  let config = readIfExists(lintPath(name));
+  return config == null ? {} : JSON.parse(config);
+}
+
+function saveLintConfig(name, config) {
+  if (!fs.existsSync(LINT_DIR)) {
+    fs.mkdirSync(LINT_DIR);
+  }
+  fs.writeFileSync(lintPath(name), JSON.stringify(config, null, 4));
+}
+
+function exists(name) {
+  return fs.existsSync(schemaPath(name));
+}
+
+// The following return false if the schema to change doesn't exist or the new name is taken
+
+function create(name, json, meta) {
+  if (exists(name)) {
+    return false;
+  }
+  return save(name, json, meta);
+}
+
+function copy(name, newName, meta) {
+  let json = getCurrent(name);
+  if (json == null || exists(newName)) {
+    return false;
+  }
+  if (fs.existsSync(lintPath(name))) {
+    saveLintConfig(newName, getLintConfig(name));
+  }
+  return save(newName, json, {
+    author: meta.author,
+    message: meta.message || `Copied from ${name}`,
+  });
+}
+
+function rename(name, newName) {
+  if (!exists(name) || exists(newName)) {
+    return false;
+  }
+  if (fs.existsSync(historyPath(name))) {
+    fs.renameSync(historyPath(name), historyPath(newName));
+  }
+  if (fs.existsSync(lintPath(name))) {
+    fs.renameSync(lintPath(name), lintPath(newName));
+  }
+  fs.renameSync(schemaPath(name), schemaPath(newName));
+  return true;
+}
+
+function remove(name) {
+  if (!exists(name)) {
+    return false;
+  }
+  let trash = `${TRASH_DIR}/${name}-${Date.now()}`;
+  if (!fs.existsSync(TRASH_DIR)) {
+    fs.mkdirSync(TRASH_DIR);
+  }
+  fs.mkdirSync(trash);
+  if (fs.existsSync(historyPath(name))) {
+    fs.renameSync(historyPath(name), `${trash}/history`);
+  }
+  if (fs.existsSync(lintPath(name))) {
+    fs.renameSync(lintPath(name), `${trash}/lint.json`);
+  }
+  fs.renameSync(schemaPath(name), `${trash}/${name}.json`);
+  return true;
+}
+
+function restore(name, revision, meta) {
+  let json = getRevision(name, revision);
+  if (json == null) {
+    return null;
+  }
+  return save(name, json, {
+    author: meta.author,
+    message: meta.message || `Restored revision ${revision}`,
+  });
+}
+
+function diff(name, from, to) {
+  let fromJSON = getRevision(name, from);
+  let toJSON = getRevision(name, to);
+  if (fromJSON == null || toJSON == null) {
+    return null;
+  }
+  return JsDiff.diffLines(fromJSON, toJSON);
+}
+
+// Returns each line of the latest revision with the revision that last changed it
+function blame(name) {
+  let revisions = listRevisions(name);
+  let lines = [];
+
+  revisions.forEach((entry, i) => {
+    let previous = i ? getRevision(name, revisions[i - 1].revision) : '';
+    let current = getRevision(name, entry.revision);
+    let oldLines = lines;
+    let oldLineNo = 0;
+    lines = [];
+
+    JsDiff.diffLines(previous, current).forEach(part => {
+      if (part.removed) {
+        oldLineNo += part.count;
+      } else if (part.added) {
+        part.value.replace(/\n$/, '').split('\n').forEach(text => lines.push({ text: text, revision: entry }));
+      } else {
+        lines.push.apply(lines, oldLines.slice(oldLineNo, oldLineNo + part.count));
+        oldLineNo += part.count;
+      }
+    });
+  });
+
+  return lines.map(line => ({
+    text: line.text,
+    revision: line.revision.revision,
+    author: line.revision.author,
+    timestamp: line.revision.timestamp,
+  }));
+}
+
+module.exports = {
+  getCurrent: getCurrent,
+  listRevisions: listRevisions,
+  getRevision: getRevision,
+  save: save,
+  getLintConfig: getLintConfig,
+  saveLintConfig: saveLintConfig,
+  exists: exists,
+  create: create,
+  copy: copy,
+  rename: rename,
+  remove: remove,
+  restore: restore,
+  diff: diff,
+  blame: blame,
+};
@@ -0,0 +1,233 @@
+const http = require('http');
+const WebSocket = require('ws');
+const SchemaOps = require('../parser/schema-ops');
+const Auth = require('./auth');
+const History = require('./history');
+
+// Everyone with a schema open in the app connects to /schema/<name>/live, and edits are relayed to everyone else as soon
+// as they're made, as operations (see schema-ops.js). Messages are JSON objects with a "type":
+//   hello     to a client that has connected: { client, seq, schema, users }
+//   ops       from an editor: { ops }; relayed to everyone, including the sender, as { seq, client, user, ops }; a
+//             malformed operation closes the connection with 1003
+//   presence  from a client: { database, table } it has open; relayed to everyone else with its client and user
+//   leave     { client } has disconnected
+//   saved     { etag, schema } someone saved, so this is now the saved copy
+//   renamed   { name } the schema has a new name
+//   reset     the schema was replaced, e.g. by restoring a revision, so it must be opened again
+//   closed    the schema was deleted
+// Operations are applied in the order the server receives them, which decides conflicts: the edit received last wins. The
+// live copy of a schema, with everyone's unsaved edits, is kept in memory until the last person viewing it leaves.
+const MAX_MESSAGE_SIZE = 5 * 1024 * 1024;
+
+let rooms = new Map();
+let nextClientId = 1;
+
+function send(socket, message) {
+  if (socket.readyState == WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function broadcast(room, message, except) {
+  room.clients.forEach((client, id) => {
+    if (id !== except) {
+      send(client.socket, message);
+    }
+  });
+}
+
+function presenceOf(id, client) {
+  return {
+    client: id,
+    user: client.user.name,
+    database: client.database,
+    table: client.table,
+  };
+}
+
+function join(name, socket, user) {
+  let room = rooms.get(name);
+  if (!room) {
+    let databases;
+    try {
+      databases = JSON.parse(History.getCurrent(name));
+    } catch (err) {
+      socket.close(1011, 'Schema could not be read');
+      return;
+    }
+    if (databases == null) {
+      socket.close(4404, 'Schema not found');
+      return;
+    }
+    // The name is kept here rather than by each connection, as it changes when the schema is renamed
+    room = {
+      name: name,
+      databases: databases,
+      seq: 0,
+      clients: new Map(),
+    };
+    rooms.set(name, room);
+  }
+
+  let id = nextClientId++;
+  let client = {
+    socket: socket,
+    user: user,
+    database: null,
+    table: null,
+  };
+
+  send(socket, {
+    type: 'hello',
+    client: id,
+    seq: room.seq,
+    schema: room.databases,
+    users: Array.from(room.clients, ([otherId, other]) => presenceOf(otherId, other)),
+  });
+  room.clients.set(id, client);
+
+  socket.on('message', data => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      socket.close(1003, 'Messages must be JSON');
+      return;
+    }
+
+    switch (message && message.type) {
+      case 'ops':
+        // Viewers can try out changes in their own copy, but nobody else sees them; the role is for the schema's current
+        // name, as it can be renamed while people are connected
+        if (!Auth.hasRole(user, room.name, 'editor')) {
+          return;
+        }
+        // Nothing is applied or sent on if any operation is malformed, as it would also fail in everyone else's app
+        try {
+          SchemaOps.apply(room.databases, message.ops);
+        } catch (err) {
+          socket.close(1003, 'Operations must be well formed');
+          return;
+        }
+        broadcast(room, {
+          type: 'ops',
+          seq: ++room.seq,
+          client: id,
+          user: user.name,
+          ops: message.ops,
+        });
+        break;
+
+      case 'presence':
+        client.database = typeof message.database == 'string' ? message.database : null;
+        client.table = typeof message.table == 'string' ? message.table : null;
+        broadcast(room, Object.assign({ type: 'presence' }, presenceOf(id, client)), id);
+        break;
+    }
+  });
+
+  socket.on('close', () => {
+    room.clients.delete(id);
+    if (room.clients.size) {
+      broadcast(room, { type: 'leave', client: id });
+    } else if (rooms.get(room.name) === room) {
+      rooms.delete(room.name);
+    }
+  });
+}
+
+function refuse(socket, status) {
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n\r\n`);
+}
+
+// Accepts connections to /schema/<name>/live on an HTTP server; origins are checked as browsers don't apply CORS to them
+function attach(server, options) {
+  let wss = new WebSocket.Server({
+    noServer: true,
+    maxPayload: MAX_MESSAGE_SIZE,
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    let match = /^\/schema\/([^/?]+)\/live(?:\?|$)/.exec(req.url);
+    let name = null;
+    if (match) {
+      try {
+        name = decodeURIComponent(match[1]);
+      } catch (err) {
+        refuse(socket, 400);
+        return;
+      }
+    }
+    let user = Auth.authenticate(req);
+
+    let status = null;
+    if (!match) {
+      status = 404;
+    } else if (!options.isValidSchemaName(name)) {
+      status = 400;
+    } else if (!options.isAllowedOrigin(req.headers.origin, req.headers.host)) {
+      status = 403;
+    } else if (!user) {
+      status = 401;
+    } else if (!Auth.hasRole(user, name, 'viewer')) {
+      status = 403;
+    }
+    if (status) {
+      refuse(socket, status);
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => join(name, ws, user));
+  });
+}
+
+function saved(name, json, etag) {
+  let room = rooms.get(name);
+  if (room) {
+    broadcast(room, {
+      type: 'saved',
+      etag: etag,
+      schema: json,
+    });
+  }
+}
+
+function renamed(name, newName) {
+  let room = rooms.get(name);
+  if (room) {
+    rooms.delete(name);
+    room.name = newName;
+    rooms.set(newName, room);
+    broadcast(room, {
+      type: 'renamed',
+      name: newName,
+    });
+  }
+}
+
+// The live copy is discarded, so everyone starts again from the new saved copy
+function replaced(name) {
+  let room = rooms.get(name);
+  if (room) {
+    rooms.delete(name);
+    broadcast(room, { type: 'reset' });
+    room.clients.forEach(client => client.socket.close());
+  }
+}
+
+function closed(name) {
+  let room = rooms.get(name);
+  if (room) {
+    rooms.delete(name);
+    broadcast(room, { type: 'closed' });
+    room.clients.forEach(client => client.socket.close());
+  }
+}
+
+module.exports = {
+  attach: attach,
+  saved: saved,
+  renamed: renamed,
+  replaced: replaced,
+  closed: closed,
+};
@@ -1,17 +1,49 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const https = require('https');
 const Express = require('express');
 const BodyParser = require('body-parser');
+const SchemaValidator = require('../parser/validator');
+const SchemaLinter = require('../parser/linter');
+const SqlGenerator = require('../parser/to-sql');
+const LuaGenerator = require('../parser/to-lua');
+const TsGenerator = require('../parser/to-ts');
+const History = require('./history');
+const Auth = require('./auth');
+const Audit = require('./audit');
+const Live = require('./live');
 
 let privateKey = fs.readFileSync('https-cert.key');
 let certificate = fs.readFileSync('https-cert.crt');
 
+// Optional, and read from the working directory like the certificate:
+//   auth                 "none", "local" or "proxy", see auth.js
+//   usersFile            path of the users file for local and proxy auth
+//   proxyHeader          header a trusted proxy puts the user's name in
+//   trustedProxies       addresses the proxy connects from, which proxy auth needs
+//   proxyDefaultRoles    roles for proxy users not in the users file
+//   sessionHours         how long local logins last
+//   corsOrigins          origins other than the app's own allowed to use the API, or ["*"] for any
+let config = fs.existsSync('server-config.json') ? JSON.parse(fs.readFileSync('server-config.json', 'utf8')) : {};
+Auth.configure(config);
+const CORS_ORIGINS = config.corsOrigins || [];
+
 const server = new Express();
 
+function isAllowedOrigin(origin) {
+  return CORS_ORIGINS.indexOf(origin) > -1 || CORS_ORIGINS.indexOf('*') > -1;
+}
+
 server.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, PUT");
-  res.header("Access-Control-Allow-Headers", "Origin, Content-Type, Accept");
+  let origin = req.get('Origin');
+  if (origin && isAllowedOrigin(origin)) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Access-Control-Allow-Credentials", "true");
+    res.header("Access-Control-Allow-Methods", "GET, PUT, POST, DELETE");
+    res.header("Access-Control-Allow-Headers", "Origin, Content-Type, Accept, If-Match");
+    res.header("Access-Control-Expose-Headers", "ETag, X-Schema-Role");
+  }
+  res.header("Vary", "Origin");
   next();
 });
 
@@ -21,7 +53,144 @@ server.get('/', (req, res) => {
   res.redirect('/app');
 });
 
+server.use((req, res, next) => {
+  req.user = Auth.authenticate(req);
+  next();
+});
+
+// Responds with 401 if the user hasn't logged in, and 403 if they don't have the role for the schema in the URL
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      res.sendStatus(401);
+      return;
+    }
+    if (!Auth.hasRole(req.user, req.params.name, role)) {
+      res.sendStatus(403);
+      return;
+    }
+    next();
+  };
+}
+
+// Authenticated users are recorded as the author, so revisions can't be attributed to someone else
+function authorOf(req) {
+  return req.user && req.user.name != null ? req.user.name : req.query.author;
+}
+
+server.get('/session', (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ auth: Auth.mode() });
+    return;
+  }
+  res.json({
+    auth: Auth.mode(),
+    name: req.user.name,
+    roles: req.user.roles,
+  });
+});
+
+server.post('/login', BodyParser.json(), (req, res) => {
+  let token = Auth.login(req.body.name, req.body.password);
+  if (!token) {
+    res.sendStatus(401);
+    return;
+  }
+  res.set('Set-Cookie', Auth.sessionCookie(token));
+  res.sendStatus(204);
+});
+
+server.post('/logout', (req, res) => {
+  let token = Auth.sessionToken(req);
+  if (token) {
+    Auth.logout(token);
+  }
+  res.set('Set-Cookie', Auth.sessionCookie(null));
+  res.sendStatus(204);
+});
+
+// Names can't start with "." as "." and ".." would put files outside the schema's own history folder, and the folders
+// kept next to the schemas start with one
+function isValidSchemaName(name) {
+  return !!name && /^[a-z0-9-_][a-z0-9-_.]{0,99}$/.test(name);
+}
+
+// Saves must send back the ETag of the copy they were based on, so that concurrent edits aren't silently overwritten
+function etagOf(json) {
+  return '"' + crypto.createHash('sha1').update(json).digest('hex') + '"';
+}
+
+function parseRevision(revision) {
+  return /^[1-9][0-9]*$/.test(revision) ? Number.parseInt(revision, 10) : null;
+}
+
+const BUILD_TARGETS = {
+  sql: SqlGenerator,
+  lua: LuaGenerator,
+  ts: TsGenerator,
+};
+
+// Responds with the generated files, or with the problems stopping them from being generated in the same form as validation
+// problems, so that the app can show generator errors next to the fields that caused them
+function sendBuild(res, name, databases, query) {
+  let generator = BUILD_TARGETS[query.target];
+  if (!generator || (query.dialect != undefined && SqlGenerator.DIALECTS.indexOf(query.dialect) < 0)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  let validation = SchemaValidator.validate(databases);
+  if (validation.errors.length) {
+    res.status(422).json(validation);
+    return;
+  }
+
+  let warnings = validation.warnings.slice();
+  let files;
+  try {
+    files = generator.build(databases, name, {
+      dialect: query.dialect,
+      checks: query.checks != 'false',
+      database: query.database,
+      table: query.table,
+      warn: message => warnings.push({
+        path: '',
+        location: {},
+        message: message,
+      }),
+    });
+  } catch (err) {
+    if (err.location) {
+      res.status(422).json({
+        errors: [{
+          path: err.path,
+          location: err.location,
+          message: err.message,
+        }],
+        warnings: warnings,
+      });
+    } else if (err instanceof ReferenceError) {
+      // The database or table to preview doesn't exist
+      res.sendStatus(404);
+    } else {
+      console.error(err);
+      res.sendStatus(500);
+    }
+    return;
+  }
+
+  res.json({
+    files: files,
+    warnings: warnings,
+  });
+}
+
 server.get('/schemas', (req, res) => {
+  if (!req.user) {
+    res.sendStatus(401);
+    return;
+  }
+
   fs.readdir(__dirname + '/../schemas/', (err, files) => {
     if (err) {
       console.error(err);
@@ -29,13 +198,13 @@ server.get('/schemas', (req, res) => {
       return;
     }
 
-    res.send(JSON.stringify(files.filter(f => /\.json$/.test(f)).map(f => f.slice(0, -5))));
+    res.send(JSON.stringify(files.filter(f => /\.json$/.test(f)).map(f => f.slice(0, -5)).filter(name => Auth.hasRole(req.user, name, 'viewer'))));
   });
 });
 
-server.get('/schema/:name', (req, res) => {
+server.get('/schema/:name', requireRole('viewer'), (req, res) => {
   let name = req.params.name;
-  if (!name || !/^[a-z0-9-_.]{1,100}$/.test(name)) {
+  if (!isValidSchemaName(name)) {
     res.sendStatus(400);
     return;
   }
@@ -50,29 +219,486 @@ server.get('/schema/:name', (req, res) => {
       res.sendStatus(404);
       return;
     }
+    res.set('ETag', etagOf(schema));
+    // The app hides what the user can't do
+    res.set('X-Schema-Role', Auth.roleFor(req.user, name));
     res.send(schema);
   });
 });
 
-server.put('/schema/:name', BodyParser.json(), (req, res) => {
+server.put('/schema/:name', requireRole('editor'), BodyParser.json(), (req, res) => {
   let name = req.params.name;
-  if (!name || !/^[a-z0-9-_.]{1,100}$/.test(name)) {
+  if (!isValidSchemaName(name)) {
     res.sendStatus(400);
     return;
   }
 
-  fs.writeFile(__dirname + '/../schemas/' + name + '.json', JSON.stringify(req.body, null, 4), err => {
-    if (err) {
-      console.error(err);
-      res.sendStatus(500);
+  let ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    res.sendStatus(428);
+    return;
+  }
+
+  let validation = SchemaValidator.validate(req.body);
+  if (validation.errors.length) {
+    res.status(422).json(validation);
+    return;
+  }
+
+  // Reading, comparing and saving are all synchronous, so another save can't happen in between
+  let json = JSON.stringify(req.body, null, 4);
+  let revision;
+  try {
+    let current = History.getCurrent(name);
+    if (current == null) {
+      res.sendStatus(404);
       return;
     }
 
-    res.sendStatus(200);
-  });
+    if (ifMatch != etagOf(current)) {
+      res.status(409).json({
+        etag: etagOf(current),
+        schema: current,
+      });
+      return;
+    }
+
+    revision = History.save(name, json, {
+      author: authorOf(req),
+      message: req.query.message,
+    });
+    Audit.record(req.user, 'save', name, { revision: revision.revision });
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  Live.saved(name, json, etagOf(json));
+  res.set('ETag', etagOf(json));
+  res.json(revision);
+});
+
+server.post('/schema/:name', requireRole('editor'), BodyParser.json(), (req, res) => {
+  let name = req.params.name;
+  if (!isValidSchemaName(name)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  // An empty body creates an empty schema
+  let schema = Array.isArray(req.body) ? req.body : [];
+  let validation = SchemaValidator.validate(schema);
+  if (validation.errors.length) {
+    res.status(422).json(validation);
+    return;
+  }
+
+  let json = JSON.stringify(schema, null, 4);
+  let revision;
+  try {
+    revision = History.create(name, json, {
+      author: authorOf(req),
+      message: req.query.message || 'Created schema',
+    });
+    if (revision) {
+      Audit.record(req.user, 'create', name, { revision: revision.revision });
+    }
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  if (!revision) {
+    res.sendStatus(409);
+    return;
+  }
+  res.set('ETag', etagOf(json));
+  res.status(201).json(revision);
+});
+
+server.delete('/schema/:name', requireRole('admin'), (req, res) => {
+  let name = req.params.name;
+  if (!isValidSchemaName(name)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  let removed;
+  try {
+    let current = History.getCurrent(name);
+    if (current == null) {
+      res.sendStatus(404);
+      return;
+    }
+
+    let ifMatch = req.get('If-Match');
+    if (ifMatch && ifMatch != etagOf(current)) {
+      res.sendStatus(412);
+      return;
+    }
+
+    removed = History.remove(name);
+    if (removed) {
+      Audit.record(req.user, 'delete', name);
+      Live.closed(name);
+    }
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  res.sendStatus(removed ? 200 : 404);
+});
+
+server.post('/schema/:name/rename/:newName', requireRole('admin'), (req, res) => {
+  let name = req.params.name;
+  let newName = req.params.newName;
+  if (!isValidSchemaName(name) || !isValidSchemaName(newName)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  if (!Auth.hasRole(req.user, newName, 'admin')) {
+    res.sendStatus(403);
+    return;
+  }
+
+  let renamed;
+  try {
+    if (!History.exists(name)) {
+      res.sendStatus(404);
+      return;
+    }
+    renamed = History.rename(name, newName);
+    if (renamed) {
+      Audit.record(req.user, 'rename', name, { newName: newName });
+      Live.renamed(name, newName);
+    }
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  res.sendStatus(renamed ? 200 : 409);
+});
+
+server.post('/schema/:name/copy/:newName', requireRole('viewer'), (req, res) => {
+  let name = req.params.name;
+  let newName = req.params.newName;
+  if (!isValidSchemaName(name) || !isValidSchemaName(newName)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  // Copying only needs to read the original, but creates the copy
+  if (!Auth.hasRole(req.user, newName, 'editor')) {
+    res.sendStatus(403);
+    return;
+  }
+
+  let revision;
+  try {
+    if (!History.exists(name)) {
+      res.sendStatus(404);
+      return;
+    }
+    revision = History.copy(name, newName, {
+      author: authorOf(req),
+      message: req.query.message,
+    });
+    if (revision) {
+      Audit.record(req.user, 'copy', name, { newName: newName, revision: revision.revision });
+    }
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  if (!revision) {
+    res.sendStatus(409);
+    return;
+  }
+  res.status(201).json(revision);
+});
+
+server.get('/schema/:name/revisions', requireRole('viewer'), (req, res) => {
+  let name = req.params.name;
+  if (!isValidSchemaName(name)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  let revisions;
+  try {
+    revisions = History.listRevisions(name);
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  res.json(revisions.reverse());
+});
+
+server.get('/schema/:name/revisions/:revision', requireRole('viewer'), (req, res) => {
+  let name = req.params.name;
+  let revision = parseRevision(req.params.revision);
+  if (!isValidSchemaName(name) || revision == null) {
+    res.sendStatus(400);
+    return;
+  }
+
+  let schema;
+  try {
+    schema = History.getRevision(name, revision);
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  if (schema == null) {
+    res.sendStatus(404);
+    return;
+  }
+  res.send(schema);
 });
 
-https.createServer({
+server.get('/schema/:name/diff/:from/:to', requireRole('viewer'), (req, res) => {
+  let name = req.params.name;
+  let from = parseRevision(req.params.from);
+  let to = parseRevision(req.params.to);
+  if (!isValidSchemaName(name) || from == null || to == null) {
+    res.sendStatus(400);
+    return;
+  }
+
+  let diff;
+  try {
+    diff = History.diff(name, from, to);
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  if (diff == null) {
+    res.sendStatus(404);
+    return;
+  }
+  res.json(diff);
+});
+
+server.post('/schema/:name/revisions/:revision/restore', requireRole('editor'), (req, res) => {
+  let name = req.params.name;
+  let revision = parseRevision(req.params.revision);
+  if (!isValidSchemaName(name) || revision == null) {
+    res.sendStatus(400);
+    return;
+  }
+
+  // Restoring replaces the current schema, so it's checked in the same way as a save
+  let ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    res.sendStatus(428);
+    return;
+  }
+
+  let json;
+  let restored;
+  try {
+    let current = History.getCurrent(name);
+    json = History.getRevision(name, revision);
+    if (current == null || json == null) {
+      res.sendStatus(404);
+      return;
+    }
+
+    if (ifMatch != etagOf(current)) {
+      res.status(409).json({
+        etag: etagOf(current),
+        schema: current,
+      });
+      return;
+    }
+
+    // Older revisions were saved under older rules, so they may no longer be valid
+    let validation = SchemaValidator.validate(JSON.parse(json));
+    if (validation.errors.length) {
+      res.status(422).json(validation);
+      return;
+    }
+
+    restored = History.restore(name, revision, {
+      author: authorOf(req),
+      message: req.query.message,
+    });
+    Audit.record(req.user, 'restore', name, { from: revision, revision: restored.revision });
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  Live.replaced(name);
+  res.set('ETag', etagOf(json));
+  res.json(restored);
+});
+
+server.get('/schema/:name/blame', requireRole('viewer'), (req, res) => {
+  let name = req.params.name;
+  if (!isValidSchemaName(name)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  let lines;
+  try {
+    lines = History.blame(name);
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  res.json(lines);
+});
+
+server.get('/schema/:name/audit', requireRole('admin'), (req, res) => {
+  let name = req.params.name;
+  if (!isValidSchemaName(name)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  let entries;
+  try {
+    entries = Audit.list(name);
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  res.json(entries);
+});
+
+server.get('/schema/:name/lint', requireRole('viewer'), (req, res) => {
+  let name = req.params.name;
+  if (!isValidSchemaName(name)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  let config;
+  try {
+    if (!History.exists(name)) {
+      res.sendStatus(404);
+      return;
+    }
+    config = History.getLintConfig(name);
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  res.json(config);
+});
+
+server.put('/schema/:name/lint', requireRole('editor'), BodyParser.json(), (req, res) => {
+  let name = req.params.name;
+  if (!isValidSchemaName(name)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  let problem = SchemaLinter.checkConfig(req.body);
+  if (problem) {
+    res.status(400).json({ error: problem });
+    return;
+  }
+
+  try {
+    if (!History.exists(name)) {
+      res.sendStatus(404);
+      return;
+    }
+    History.saveLintConfig(name, req.body);
+    Audit.record(req.user, 'lint', name, { config: req.body });
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  res.json(req.body);
+});
+
+server.get('/schema/:name/build', requireRole('viewer'), (req, res) => {
+  let name = req.params.name;
+  if (!isValidSchemaName(name)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  let json;
+  try {
+    json = History.getCurrent(name);
+  } catch (err) {
+    console.error(err);
+    res.sendStatus(500);
+    return;
+  }
+
+  if (json == null) {
+    res.sendStatus(404);
+    return;
+  }
+
+  // A file that was edited by hand may not parse, which is reported like any other problem stopping the build
+  let databases;
+  try {
+    databases = JSON.parse(json);
+  } catch (err) {
+    res.status(422).json({
+      errors: [{
+        path: '',
+        location: {},
+        message: `The saved schema is not valid JSON: ${err.message}`,
+      }],
+      warnings: [],
+    });
+    return;
+  }
+  sendBuild(res, name, databases, req.query);
+});
+
+// Builds unsaved changes sent by the app, without saving them
+server.post('/schema/:name/build', requireRole('viewer'), BodyParser.json(), (req, res) => {
+  let name = req.params.name;
+  if (!isValidSchemaName(name)) {
+    res.sendStatus(400);
+    return;
+  }
+
+  sendBuild(res, name, req.body, req.query);
+});
+
+let httpsServer = https.createServer({
   key: privateKey,
   cert: certificate,
-}, server).listen(4096);
+}, server);
+
+// Pages the server serves itself connect from its own origin
+Live.attach(httpsServer, {
+  isValidSchemaName: isValidSchemaName,
+  isAllowedOrigin: (origin, host) => !origin || origin == `https://${host}` || isAllowedOrigin(origin),
+});
+
+httpsServer.listen(4096);
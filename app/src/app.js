@@ -4,19 +4,33 @@
     let ooml = new OOML.Namespace();
     window.app = ooml.objects.app;
 
-    let schemas = await (await fetch(location.origin + '/schemas')).json();
-    schemas.forEach(name => {
-        app.header.schemaPicker.options.push({
-            name: name,
-            value: name,
-        });
-    });
+    // Nothing else can be loaded until the user has logged in, which reloads the page
+    if (!await app.checkSession()) {
+        return;
+    }
+
+    await app.refreshSchemaList();
 
     let currentSchema = location.hash.slice(1);
     if (currentSchema) {
         app.changeSchema(currentSchema);
     }
 
+    // Leave undo in text fields to the browser, as their edits aren't part of the schema until they change
+    window.addEventListener('keydown', e => {
+        if (!(e.ctrlKey || e.metaKey) || e.target.matches('input, textarea') || app.attributes.currentSchema == null) {
+            return;
+        }
+        let key = e.key.toLowerCase();
+        if (key == 'z' && !e.shiftKey) {
+            e.preventDefault();
+            app.undo();
+        } else if ((key == 'z' && e.shiftKey) || key == 'y') {
+            e.preventDefault();
+            app.redo();
+        }
+    });
+
     window.onbeforeunload = e => {
         if (app.getUnsavedChanges()) {
             let msg = 'You may have unsaved changes';
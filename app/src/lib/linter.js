@@ -0,0 +1 @@
+../../../parser/linter.js
\ No newline at end of file
@@ -0,0 +1 @@
+../../../parser/schema-ops.js
\ No newline at end of file
@@ -0,0 +1 @@
+../../../parser/sql-import.js
\ No newline at end of file
@@ -0,0 +1 @@
+../../../parser/validator.js
\ No newline at end of file
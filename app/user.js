@@ -0,0 +1,47 @@
+const fs = require('fs');
+const minimist = require('minimist');
+const Auth = require('./auth');
+
+// Adds or changes a user in the users file read by the server:
+//   node user.js --name alice --password secret --role '*=viewer' --role billing=editor
+// --role <schema>=<role> is repeatable and "*" is every other schema. Roles given replace all of the user's roles, and the
+// password is kept if it isn't given. --remove deletes the user.
+const ARGS = minimist(process.argv.slice(2), {
+  string: ['name', 'password', 'file'],
+  boolean: ['remove'],
+});
+
+const FILE = ARGS.file || 'users.json';
+const NAME = ARGS.name;
+
+if (!NAME) {
+  throw new SyntaxError('A --name is required');
+}
+
+Auth.configure({ usersFile: FILE });
+let users = Auth.readUsers();
+
+if (ARGS.remove) {
+  delete users[NAME];
+} else {
+  let user = Auth.findUser(users, NAME) || { roles: {} };
+
+  if (ARGS.password != undefined) {
+    user.password = Auth.hashPassword(ARGS.password);
+  }
+
+  if (ARGS.role != undefined) {
+    user.roles = [].concat(ARGS.role).reduce((roles, arg) => {
+      let match = /^([^=]+)=([a-z]+)$/.exec(arg);
+      if (!match || Auth.ROLES.indexOf(match[2]) < 0) {
+        throw new SyntaxError(`Invalid --role "${arg}", expected <schema>=${Auth.ROLES.join('|')}`);
+      }
+      roles[match[1]] = match[2];
+      return roles;
+    }, {});
+  }
+
+  users[NAME] = user;
+}
+
+fs.writeFileSync(FILE, JSON.stringify(users, null, 2));
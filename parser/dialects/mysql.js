@@ -0,0 +1,187 @@
+"use strict";
+
+// Every identifier is quoted, so that names can be reserved words
+function quoteIdentifier(name) {
+    return `\`${name.replace(/`/g, "``")}\``;
+}
+
+function quoteString(str) {
+    return `'${str.replace(/\\/g, "\\\\").replace(/'/g, "''")}'`;
+}
+
+// compose-db types were modelled on MySQL, so most of them map directly onto native types
+module.exports = {
+    name: "mysql",
+
+    quoteIdentifier: quoteIdentifier,
+
+    // Names of databases, tables, columns, indexes and constraints
+    maxIdentifierLength: 64,
+
+    createDatabase(name) {
+        return `CREATE DATABASE ${quoteIdentifier(name)} CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;`;
+    },
+
+    useDatabase(name) {
+        return `USE ${quoteIdentifier(name)};`;
+    },
+
+    createTableName(databaseName, tableName) {
+        return quoteIdentifier(tableName);
+    },
+
+    referenceTableName(databaseName, tableName, sameDatabase) {
+        return sameDatabase ? quoteIdentifier(tableName) : `${quoteIdentifier(databaseName)}.${quoteIdentifier(tableName)}`;
+    },
+
+    // Foreign keys that would form a cycle are added with ALTER TABLE once all tables exist
+    deferredForeignKeys: true,
+
+    indexName(tableName, name) {
+        return name;
+    },
+
+    inlineIndexes: true,
+
+    uniqueIndex(name, columns) {
+        return `UNIQUE ${quoteIdentifier(name)} (${columns.join(',')})`;
+    },
+
+    index(name, columns) {
+        return `INDEX ${quoteIdentifier(name)} (${columns.join(',')})`;
+    },
+
+    fulltextIndex(name, columns) {
+        return `FULLTEXT ${quoteIdentifier(name)} (${columns.map(quoteIdentifier).join(',')})`;
+    },
+
+    prefixIndexes: true,
+
+    // Prefix lengths are in characters for string and text columns, and bytes for binary and blob columns
+    indexColumn(column, constraint) {
+        return `${quoteIdentifier(column.name)}${column.length != undefined ? `(${column.length})` : ""}${column.order == "DESC" ? " DESC" : ""}`;
+    },
+
+    integerType(size, unsigned) {
+        return {
+            sql: unsigned ? `${size} UNSIGNED` : size,
+        };
+    },
+
+    serialType(size) {
+        return `${size} UNSIGNED NOT NULL AUTO_INCREMENT`;
+    },
+
+    booleanType() {
+        return {
+            sql: "TINYINT(1) UNSIGNED",
+        };
+    },
+
+    booleanLiteral(value) {
+        return `${value}`;
+    },
+
+    stringType(maxLength) {
+        return {
+            sql: `VARCHAR(${maxLength})`,
+        };
+    },
+
+    binaryType(minSize, maxSize) {
+        return {
+            sql: `${minSize === maxSize ? "" : "VAR"}BINARY(${maxSize})`,
+        };
+    },
+
+    binaryLiteral(hex) {
+        return hex ? `0x${hex}` : "''";
+    },
+
+    // UNSIGNED is deprecated for DECIMAL since MySQL 8.0.17, so it's a CHECK instead
+    decimalType(precision, scale, unsigned) {
+        return {
+            sql: `DECIMAL(${precision},${scale})`,
+            min: unsigned ? 0 : undefined,
+        };
+    },
+
+    floatType(size) {
+        return {
+            sql: size,
+        };
+    },
+
+    textType(size) {
+        return {
+            sql: size,
+        };
+    },
+
+    blobType(size) {
+        return {
+            sql: size,
+        };
+    },
+
+    dateType() {
+        return {
+            sql: "DATE",
+        };
+    },
+
+    datetimeType(precision) {
+        return {
+            sql: precision ? `DATETIME(${precision})` : "DATETIME",
+        };
+    },
+
+    // The default must have the same precision as the column
+    currentDatetime(precision) {
+        return precision ? `CURRENT_TIMESTAMP(${precision})` : "CURRENT_TIMESTAMP";
+    },
+
+    jsonType() {
+        return {
+            sql: "JSON",
+        };
+    },
+
+    // JSON columns reject invalid documents by themselves
+    jsonValid(expr) {
+        return null;
+    },
+
+    // The format is checked as there's no native UUID type
+    uuidType() {
+        return {
+            sql: "CHAR(36) CHARACTER SET ascii",
+            length: 36,
+        };
+    },
+
+    quoteString: quoteString,
+
+    charLength(expr) {
+        return `CHAR_LENGTH(${expr})`;
+    },
+
+    byteLength(expr) {
+        return `LENGTH(${expr})`;
+    },
+
+    regexp(expr, quotedPattern, negate) {
+        return `${expr} ${negate ? "NOT REGEXP" : "REGEXP"} ${quotedPattern}`;
+    },
+
+    // Comments are part of the column and table definitions; longer ones are rejected in strict mode, so they're cut short
+    inlineComments: true,
+
+    columnComment(text) {
+        return `COMMENT ${quoteString(text.slice(0, 1024))}`;
+    },
+
+    tableComment(text) {
+        return `COMMENT = ${quoteString(text.slice(0, 2048))}`;
+    },
+};
@@ -0,0 +1,213 @@
+"use strict";
+
+// Databases become schemas, so that cross-database foreign keys can still be expressed
+// PostgreSQL has no unsigned or 1- and 3-byte integers; the next largest type is used with a CHECK for the original range
+const INTEGER_TYPES = {
+    TINYINT: {
+        signed: { sql: "SMALLINT", min: -128, max: 127 },
+        unsigned: { sql: "SMALLINT", min: 0, max: 255 },
+    },
+    SMALLINT: {
+        signed: { sql: "SMALLINT" },
+        unsigned: { sql: "INTEGER", min: 0, max: 65535 },
+    },
+    MEDIUMINT: {
+        signed: { sql: "INTEGER", min: -8388608, max: 8388607 },
+        unsigned: { sql: "INTEGER", min: 0, max: 16777215 },
+    },
+    INT: {
+        signed: { sql: "INTEGER" },
+        unsigned: { sql: "BIGINT", min: 0, max: 4294967295 },
+    },
+    BIGINT: {
+        signed: { sql: "BIGINT" },
+        unsigned: { sql: "BIGINT", min: 0 },
+    },
+};
+
+// Every identifier is quoted, as unquoted ones are folded to lower case and can't be reserved words
+function quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+// standard_conforming_strings is on by default, so backslashes are literal
+function quoteString(str) {
+    return `'${str.replace(/'/g, "''")}'`;
+}
+
+module.exports = {
+    name: "postgres",
+
+    quoteIdentifier: quoteIdentifier,
+
+    // In bytes; longer names are silently cut short, so two long names can end up the same
+    maxIdentifierLength: 63,
+
+    createDatabase(name) {
+        return `CREATE SCHEMA ${quoteIdentifier(name)};`;
+    },
+
+    useDatabase(name) {
+        return `SET search_path TO ${quoteIdentifier(name)};`;
+    },
+
+    createTableName(databaseName, tableName) {
+        return quoteIdentifier(tableName);
+    },
+
+    referenceTableName(databaseName, tableName, sameDatabase) {
+        return sameDatabase ? quoteIdentifier(tableName) : `${quoteIdentifier(databaseName)}.${quoteIdentifier(tableName)}`;
+    },
+
+    // Foreign keys that would form a cycle are added with ALTER TABLE once all tables exist
+    deferredForeignKeys: true,
+
+    // Index names are unique per schema, not per table
+    indexName(tableName, name) {
+        return `${tableName}_${name}`;
+    },
+
+    inlineIndexes: false,
+
+    uniqueIndex(name, columns) {
+        return `CONSTRAINT ${quoteIdentifier(name)} UNIQUE (${columns.join(',')})`;
+    },
+
+    index(name, columns, databaseName, tableName) {
+        return `CREATE INDEX ${quoteIdentifier(name)} ON ${quoteIdentifier(tableName)} (${columns.join(',')});`;
+    },
+
+    // Searches need to use the same to_tsvector expression for the index to be used
+    fulltextIndex(name, columns, databaseName, tableName) {
+        return `CREATE INDEX ${quoteIdentifier(name)} ON ${quoteIdentifier(tableName)} USING GIN (to_tsvector('simple', ${columns.map(c => `COALESCE(${quoteIdentifier(c)}, '')`).join(" || ' ' || ")}));`;
+    },
+
+    // Whole columns are indexed instead
+    prefixIndexes: false,
+
+    // Constraints can't specify an order
+    indexColumn(column, constraint) {
+        return column.order == "DESC" && !constraint ? `${quoteIdentifier(column.name)} DESC` : quoteIdentifier(column.name);
+    },
+
+    integerType(size, unsigned) {
+        return INTEGER_TYPES[size][unsigned ? "unsigned" : "signed"];
+    },
+
+    serialType(size) {
+        return `${INTEGER_TYPES[size].unsigned.sql} NOT NULL GENERATED BY DEFAULT AS IDENTITY`;
+    },
+
+    booleanType() {
+        return {
+            sql: "BOOLEAN",
+        };
+    },
+
+    booleanLiteral(value) {
+        return value ? "TRUE" : "FALSE";
+    },
+
+    stringType(maxLength) {
+        return {
+            sql: `VARCHAR(${maxLength})`,
+        };
+    },
+
+    // BYTEA has no size limit of its own
+    binaryType(minSize, maxSize) {
+        return {
+            sql: "BYTEA",
+            minSize: minSize === maxSize ? minSize : undefined,
+            maxSize: maxSize,
+        };
+    },
+
+    binaryLiteral(hex) {
+        return `'\\x${hex}'`;
+    },
+
+    decimalType(precision, scale, unsigned) {
+        return {
+            sql: `NUMERIC(${precision},${scale})`,
+            min: unsigned ? 0 : undefined,
+        };
+    },
+
+    floatType(size) {
+        return {
+            sql: size == "FLOAT" ? "REAL" : "DOUBLE PRECISION",
+        };
+    },
+
+    // TEXT and BYTEA have no size limit of their own
+    textType(size) {
+        return {
+            sql: "TEXT",
+        };
+    },
+
+    blobType(size) {
+        return {
+            sql: "BYTEA",
+        };
+    },
+
+    dateType() {
+        return {
+            sql: "DATE",
+        };
+    },
+
+    datetimeType(precision) {
+        return {
+            sql: `TIMESTAMP(${precision})`,
+        };
+    },
+
+    // CURRENT_TIMESTAMP includes the time zone, which TIMESTAMP columns don't have
+    currentDatetime(precision) {
+        return `LOCALTIMESTAMP(${precision})`;
+    },
+
+    jsonType() {
+        return {
+            sql: "JSONB",
+        };
+    },
+
+    jsonValid(expr) {
+        return null;
+    },
+
+    uuidType() {
+        return {
+            sql: "UUID",
+        };
+    },
+
+    quoteString: quoteString,
+
+    charLength(expr) {
+        return `CHAR_LENGTH(${expr})`;
+    },
+
+    byteLength(expr) {
+        return `OCTET_LENGTH(${expr})`;
+    },
+
+    regexp(expr, quotedPattern, negate) {
+        return `${expr} ${negate ? "!~" : "~"} ${quotedPattern}`;
+    },
+
+    // Comments are set by separate statements after the table is created
+    inlineComments: false,
+
+    columnComment(text, tableName, columnName) {
+        return `COMMENT ON COLUMN ${tableName}.${quoteIdentifier(columnName)} IS ${quoteString(text)};`;
+    },
+
+    tableComment(text, tableName) {
+        return `COMMENT ON TABLE ${tableName} IS ${quoteString(text)};`;
+    },
+};
@@ -0,0 +1,221 @@
+"use strict";
+
+const SchemaValidator = require('../validator');
+
+// Each database is a separate attached file; SQLite cannot enforce foreign keys across them
+// All integers are stored as 8-byte INTEGER, so smaller and unsigned ranges are enforced with a CHECK
+const INTEGER_TYPES = {
+    TINYINT: {
+        signed: { sql: "INTEGER", min: -128, max: 127 },
+        unsigned: { sql: "INTEGER", min: 0, max: 255 },
+    },
+    SMALLINT: {
+        signed: { sql: "INTEGER", min: -32768, max: 32767 },
+        unsigned: { sql: "INTEGER", min: 0, max: 65535 },
+    },
+    MEDIUMINT: {
+        signed: { sql: "INTEGER", min: -8388608, max: 8388607 },
+        unsigned: { sql: "INTEGER", min: 0, max: 16777215 },
+    },
+    INT: {
+        signed: { sql: "INTEGER", min: -2147483648, max: 2147483647 },
+        unsigned: { sql: "INTEGER", min: 0, max: 4294967295 },
+    },
+    BIGINT: {
+        signed: { sql: "INTEGER" },
+        unsigned: { sql: "INTEGER", min: 0 },
+    },
+};
+
+// Every identifier is quoted, so that names can be keywords such as ORDER or GROUP
+function quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+module.exports = {
+    name: "sqlite",
+
+    quoteIdentifier: quoteIdentifier,
+
+    // Names can be any length
+    maxIdentifierLength: null,
+
+    createDatabase(name) {
+        return `ATTACH DATABASE '${name}.sqlite3' AS ${quoteIdentifier(name)};`;
+    },
+
+    // SQLite has no default database to switch to, so table names are qualified instead
+    useDatabase(name) {
+        return "";
+    },
+
+    createTableName(databaseName, tableName) {
+        return `${quoteIdentifier(databaseName)}.${quoteIdentifier(tableName)}`;
+    },
+
+    referenceTableName(databaseName, tableName, sameDatabase) {
+        return sameDatabase ? quoteIdentifier(tableName) : null;
+    },
+
+    // SQLite only resolves REFERENCES when rows are written, so tables can reference ones created later, and it cannot add
+    // constraints to existing tables
+    deferredForeignKeys: false,
+
+    // Index names are unique per database, not per table
+    indexName(tableName, name) {
+        return `${tableName}_${name}`;
+    },
+
+    inlineIndexes: false,
+
+    uniqueIndex(name, columns) {
+        return `CONSTRAINT ${quoteIdentifier(name)} UNIQUE (${columns.join(',')})`;
+    },
+
+    index(name, columns, databaseName, tableName) {
+        return `CREATE INDEX ${quoteIdentifier(databaseName)}.${quoteIdentifier(name)} ON ${quoteIdentifier(tableName)} (${columns.join(',')});`;
+    },
+
+    // Full-text search needs a separate FTS5 virtual table
+    fulltextIndex(name, columns, databaseName, tableName) {
+        return null;
+    },
+
+    // Whole columns are indexed instead
+    prefixIndexes: false,
+
+    indexColumn(column, constraint) {
+        return column.order == "DESC" ? `${quoteIdentifier(column.name)} DESC` : quoteIdentifier(column.name);
+    },
+
+    integerType(size, unsigned) {
+        return INTEGER_TYPES[size][unsigned ? "unsigned" : "signed"];
+    },
+
+    // An INTEGER primary key becomes an alias for the auto-incrementing rowid
+    serialType(size) {
+        return "INTEGER NOT NULL";
+    },
+
+    booleanType() {
+        return {
+            sql: "INTEGER",
+            min: 0,
+            max: 1,
+        };
+    },
+
+    booleanLiteral(value) {
+        return `${value}`;
+    },
+
+    // Declared lengths are not enforced by SQLite
+    stringType(maxLength) {
+        return {
+            sql: "TEXT",
+            maxLength: maxLength,
+        };
+    },
+
+    binaryType(minSize, maxSize) {
+        return {
+            sql: "BLOB",
+            minSize: minSize === maxSize ? minSize : undefined,
+            maxSize: maxSize,
+        };
+    },
+
+    binaryLiteral(hex) {
+        return `X'${hex}'`;
+    },
+
+    // NUMERIC values are stored as integers or doubles, so only the range of the precision can be enforced
+    decimalType(precision, scale, unsigned) {
+        let range = SchemaValidator.decimalRange(precision, scale, unsigned);
+        return {
+            sql: "NUMERIC",
+            min: range.min,
+            max: range.max,
+        };
+    },
+
+    floatType(size) {
+        return {
+            sql: "REAL",
+        };
+    },
+
+    textType(size) {
+        return {
+            sql: "TEXT",
+        };
+    },
+
+    blobType(size) {
+        return {
+            sql: "BLOB",
+        };
+    },
+
+    // Dates and datetimes are stored as ISO 8601 text, which SQLite's date and time functions understand
+    dateType() {
+        return {
+            sql: "TEXT",
+        };
+    },
+
+    datetimeType(precision) {
+        return {
+            sql: "TEXT",
+        };
+    },
+
+    currentDatetime(precision) {
+        return "CURRENT_TIMESTAMP";
+    },
+
+    jsonType() {
+        return {
+            sql: "TEXT",
+        };
+    },
+
+    jsonValid(expr) {
+        return `json_valid(${expr})`;
+    },
+
+    uuidType() {
+        return {
+            sql: "TEXT",
+            length: 36,
+        };
+    },
+
+    quoteString(str) {
+        return `'${str.replace(/'/g, "''")}'`;
+    },
+
+    charLength(expr) {
+        return `LENGTH(${expr})`;
+    },
+
+    byteLength(expr) {
+        return `LENGTH(CAST(${expr} AS BLOB))`;
+    },
+
+    // REGEXP is only available when the application registers a regexp() function
+    regexp(expr, quotedPattern, negate) {
+        return null;
+    },
+
+    // SQLite has no comments on tables or columns
+    inlineComments: true,
+
+    columnComment(text) {
+        return null;
+    },
+
+    tableComment(text) {
+        return null;
+    },
+};
@@ -0,0 +1,22 @@
+"use strict";
+
+const fs = require('fs-extra');
+const minimist = require("minimist");
+const SqlImport = require('./sql-import');
+
+const ARGS = minimist(process.argv.slice(2));
+
+const IN_FILE = ARGS.in;
+const OUT_FILE = ARGS.out;
+// Tables in a dump without CREATE DATABASE or USE statements are placed in this database
+const DEFAULT_DATABASE = ARGS.database;
+
+let result = SqlImport.importSql(fs.readFileSync(IN_FILE, 'utf8'), {
+    database: DEFAULT_DATABASE,
+});
+
+result.warnings.forEach(warning => {
+    console.warn(`Warning: ${warning}`);
+});
+
+fs.outputFileSync(OUT_FILE, JSON.stringify(result.databases, null, 4));
@@ -0,0 +1,78 @@
+"use strict";
+
+const fs = require('fs-extra');
+const minimist = require("minimist");
+const SchemaValidator = require('./validator');
+const SchemaLinter = require('./linter');
+
+const ARGS = minimist(process.argv.slice(2), {
+    string: ["enable", "disable"],
+});
+
+const IN_DIR = ARGS.in;
+
+// Checks every schema in the directory and exits with a non-zero code if any has problems, for use in CI.
+// Each schema uses the lint settings saved for it by the app, from <in>/.lint/<schema>.json, and these can be overridden with
+// comma-separated rule IDs:
+//   --enable fk-indexed,primary-key
+//   --disable column-naming
+
+function ruleList(arg) {
+    let ids = [].concat(arg || []).join(",").split(",").map(id => id.trim()).filter(id => id);
+    ids.forEach(id => {
+        if (!SchemaLinter.RULES.some(rule => rule.id === id)) {
+            throw new Error(`Unknown lint rule "${id}", expected one of: ${SchemaLinter.RULES.map(rule => rule.id).join(", ")}`);
+        }
+    });
+    return ids;
+}
+
+const ENABLE = ruleList(ARGS.enable);
+const DISABLE = ruleList(ARGS.disable);
+
+function lintConfig(schemaName) {
+    let path = `${IN_DIR}/.lint/${schemaName}.json`;
+    let config = fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8')) : {};
+
+    let problem = SchemaLinter.checkConfig(config);
+    if (problem) {
+        throw new Error(`Lint settings for schema "${schemaName}" are invalid: ${problem}`);
+    }
+
+    ENABLE.forEach(id => config[id] = true);
+    DISABLE.forEach(id => config[id] = false);
+    return config;
+}
+
+let failed = 0;
+
+fs.readdirSync(IN_DIR).filter(f => /\.json$/.test(f)).map(f => f.slice(0, -5)).forEach(f => {
+    let databases = JSON.parse(fs.readFileSync(`${IN_DIR}/${f}.json`, 'utf8'));
+
+    let validation = SchemaValidator.validate(databases);
+    validation.warnings.forEach(warning => {
+        console.warn(`Warning: ${f}: ${warning.path}: ${warning.message}`);
+    });
+    validation.errors.forEach(error => {
+        console.error(`Error: ${f}: ${error.path}: ${error.message}`);
+    });
+    // Rules expect a schema of the right shape, so one with errors is only linted once they're fixed
+    if (validation.errors.length) {
+        failed++;
+        return;
+    }
+
+    let problems = SchemaLinter.lint(databases, lintConfig(f));
+    problems.forEach(problem => {
+        console.error(`Error: ${f}: ${problem.path}: ${problem.message} [${problem.rule}]`);
+    });
+
+    if (problems.length) {
+        failed++;
+    }
+});
+
+if (failed) {
+    console.error(`${failed} schema${failed == 1 ? " has" : "s have"} problems`);
+    process.exitCode = 1;
+}
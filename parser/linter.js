@@ -0,0 +1,187 @@
+// Shared by the lint.js CLI, the server and the app, so this is loadable both as a CommonJS module and as a browser global
+(function (root, factory) {
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory(require("./validator"));
+    } else {
+        root.SchemaLinter = factory(root.SchemaValidator);
+    }
+})(this, function (SchemaValidator) {
+    "use strict";
+
+    // Codes can go up to 255, so columns with codes above this are running out of room
+    const CODE_LIMIT_WARNING = 230;
+
+    // Whether a code value is still used depends on the data, which a schema doesn't have, so values kept only to hold on to
+    // their code are recognised by name
+    const PLACEHOLDER_CODE_VALUE = /^(UNUSED|RESERVED|DEPRECATED)(_[A-Z0-9_]*)?$/;
+
+    // Unlike validation problems, lint problems are opinions, so each rule can be turned off for a schema. Checks are given
+    // the schema and a function to report a problem at a location, which they call with names and array positions.
+    const RULES = [
+        {
+            id: "primary-key",
+            description: "Every table has a primary key",
+            check: forEachTable((report, database, table) => {
+                if (!(table.indexes || []).some(idx => idx.type == "primary")) {
+                    report(null, `Table "${table.name}" has no primary key`);
+                }
+            }),
+        },
+        {
+            id: "fk-indexed",
+            description: "FK columns are the first columns of an index, so lookups and cascades don't scan the table",
+            check: forEachTable((report, database, table) => {
+                let indexes = (table.indexes || []).filter(idx => idx.type != "fulltext" && idx.type != "spatial");
+                SchemaValidator.foreignKeyGroups(table).forEach(group => {
+                    let names = group.columns.map(col => col.name);
+                    let indexed = indexes.some(idx => {
+                        let leading = SchemaValidator.indexColumnNames(idx).slice(0, names.length);
+                        return leading.length == names.length && names.every(name => leading.indexOf(name) > -1);
+                    });
+                    if (!indexed) {
+                        report(table.columns.indexOf(group.columns[0]), group.composite
+                            ? `FK group "${group.name}" (${names.join(", ")}) is not the start of any index`
+                            : `FK column "${group.name}" is not the start of any index`);
+                    }
+                });
+            }),
+        },
+        {
+            id: "set-null-nullable",
+            description: "FK columns set to NULL on delete or update are nullable",
+            check: forEachColumn((report, database, table, col) => {
+                if (col.type == "FK" && !col.nullable && (col.ondelete == "SET NULL" || col.onupdate == "SET NULL")) {
+                    report(`FK column "${col.name}" is set to NULL on ${col.ondelete == "SET NULL" ? "delete" : "update"} but isn't nullable`);
+                }
+            }),
+        },
+        {
+            id: "table-naming",
+            description: "Database and table names only use lowercase letters and underscores",
+            check: (databases, report) => {
+                databases.forEach((database, dbIdx) => {
+                    if (!/^[a-z_]+$/.test(database.name)) {
+                        report([database.name], { database: dbIdx }, `Database name "${database.name}" should only use lowercase letters and underscores`);
+                    }
+                    (database.tables || []).forEach((table, tableIdx) => {
+                        if (!/^[a-z_]+$/.test(table.name)) {
+                            report([database.name, table.name], { database: dbIdx, table: tableIdx }, `Table name "${table.name}" should only use lowercase letters and underscores`);
+                        }
+                    });
+                });
+            },
+        },
+        {
+            id: "column-naming",
+            description: "Column names are camelCase and at least two characters long",
+            check: forEachColumn((report, database, table, col) => {
+                if (!/^[a-z][a-zA-Z0-9]+$/.test(col.name)) {
+                    report(`Column name "${col.name}" should be camelCase and at least two characters long`);
+                }
+            }),
+        },
+        {
+            id: "code-limit",
+            description: `Code columns have no codes above ${CODE_LIMIT_WARNING}, leaving room before the limit of 255`,
+            check: forEachColumn((report, database, table, col) => {
+                if (col.type != "code") {
+                    return;
+                }
+                let highest = Math.max.apply(null, (col.values || []).map(val => val.code).filter(code => Number.isSafeInteger(code)));
+                if (highest > CODE_LIMIT_WARNING) {
+                    report(`Code column "${col.name}" uses codes up to ${highest}, close to the limit of 255`);
+                }
+            }),
+        },
+        {
+            id: "placeholder-code-values",
+            description: "Code columns have no placeholder values named UNUSED, RESERVED or DEPRECATED",
+            check: forEachColumn((report, database, table, col) => {
+                if (col.type != "code") {
+                    return;
+                }
+                (col.values || []).filter(val => PLACEHOLDER_CODE_VALUE.test(val.value)).forEach(val => {
+                    report(`Code column "${col.name}" has placeholder value ${val.value} (${val.code})`);
+                });
+            }),
+        },
+    ];
+
+    function forEachTable(check) {
+        return (databases, report) => {
+            databases.forEach((database, dbIdx) => {
+                (database.tables || []).forEach((table, tableIdx) => {
+                    check((colIdx, message) => {
+                        let col = colIdx != null ? table.columns[colIdx] : null;
+                        report([database.name, table.name, col && col.name], Object.assign({ database: dbIdx, table: tableIdx }, col ? { column: colIdx } : {}), message);
+                    }, database, table);
+                });
+            });
+        };
+    }
+
+    function forEachColumn(check) {
+        return forEachTable((report, database, table) => {
+            (table.columns || []).forEach((col, colIdx) => {
+                check(message => report(colIdx, message), database, table, col);
+            });
+        });
+    }
+
+    // Configs map rule IDs to whether they are on; rules not mentioned are on
+    function isEnabled(config, id) {
+        return !config || config[id] !== false;
+    }
+
+    // Returns the problems in the same form as validation problems, with the ID of the rule that found each
+    function lint(databases, config) {
+        let problems = [];
+        if (!Array.isArray(databases)) {
+            return problems;
+        }
+
+        RULES.filter(rule => isEnabled(config, rule.id)).forEach(rule => {
+            rule.check(databases, (names, location, message) => {
+                problems.push({
+                    rule: rule.id,
+                    path: names.filter(n => n != null).join('.'),
+                    location: location,
+                    message: message,
+                });
+            });
+        });
+
+        return problems;
+    }
+
+    // Returns a description of what's wrong with a config, or null if it's usable
+    function checkConfig(config) {
+        if (!config || typeof config != "object" || Array.isArray(config)) {
+            return "Lint settings must be an object of rule IDs";
+        }
+        let unknown = Object.keys(config).filter(id => !RULES.some(rule => rule.id === id));
+        if (unknown.length) {
+            return `Unknown lint rules: ${unknown.join(", ")}`;
+        }
+        let invalid = Object.keys(config).filter(id => typeof config[id] != "boolean");
+        if (invalid.length) {
+            return `Lint rules must be turned on or off with true or false: ${invalid.join(", ")}`;
+        }
+        return null;
+    }
+
+    function formatProblems(problems) {
+        return problems.map(p => `${p.path}: ${p.message} [${p.rule}]`).join('\n');
+    }
+
+    return {
+        RULES: RULES.map(rule => ({
+            id: rule.id,
+            description: rule.description,
+        })),
+        isEnabled: isEnabled,
+        lint: lint,
+        checkConfig: checkConfig,
+        formatProblems: formatProblems,
+    };
+});
@@ -0,0 +1,306 @@
+// Shared by the server and the app for collaborative editing, so this is loadable both as a CommonJS module and as a browser global
+(function (root, factory) {
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SchemaOps = factory();
+    }
+})(this, function () {
+    "use strict";
+
+    // Edits are sent as operations on parts of the schema rather than as whole copies, so that edits to different parts made
+    // at the same time can all be kept. Parts are found by path, which is a list of property names and, for lists of schema
+    // objects, the key of an object in the list. Keys are used instead of positions so that a path still finds the same
+    // object after others are added or removed.
+    //   { op: "set", path, value }             sets a property, replacing its value
+    //   { op: "unset", path }                  deletes a property
+    //   { op: "insert", path, key, after, value }  adds an object to a list after the object with key `after`, or first
+    //   { op: "remove", path, key }            removes an object from a list
+    //   { op: "reorder", path, keys }          puts a list's objects in the order of their keys
+    // Operations on parts that no longer exist do nothing, so applying well-formed operations never fails. Operations come
+    // from other people's browsers, so their form is checked before any of them are applied.
+
+    // Lists of these properties hold schema objects, found by the key of each object; any other list is a plain value and
+    // set as a whole. `props` are the properties the key is made from.
+    const KEYED_LISTS = {
+        tables: { key: obj => obj.name, props: ["name"] },
+        columns: { key: obj => obj.name, props: ["name"] },
+        values: { key: obj => obj.code, props: ["code"] },
+        // Index names are optional, but an index's type and columns identify it within its table
+        indexes: {
+            key: obj => obj.name != undefined ? obj.name : `${obj.type}:${JSON.stringify(obj.columns)}`,
+            props: ["name", "type", "columns"],
+        },
+    };
+    const DATABASES = { key: obj => obj.name, props: ["name"] };
+
+    function isObject(value) {
+        return !!value && typeof value == "object" && !Array.isArray(value);
+    }
+
+    // Keys that aren't strings are compared by their JSON, as String() throws for objects with a toString property that isn't
+    // a function
+    function keyOf(list, obj) {
+        let key = isObject(obj) ? list.key(obj) : obj;
+        return typeof key == "string" ? key : String(JSON.stringify(key));
+    }
+
+    // Lists being edited can briefly hold something other than objects, e.g. an index's column names, or two objects with
+    // the same key, e.g. while a new column is given a name; keys can't tell their objects apart, so these are set whole
+    function isKeyable(list, objs) {
+        let keys = objs.map(obj => keyOf(list, obj));
+        return objs.every(isObject) && keys.every((key, i) => keys.indexOf(key) == i);
+    }
+
+    function diffList(path, list, from, to, ops) {
+        let fromKeys = from.map(obj => keyOf(list, obj));
+        let toKeys = to.map(obj => keyOf(list, obj));
+
+        // An object replaced by one with a new key at the same position has been renamed, so its other properties are
+        // diffed rather than removing and adding it
+        let renamedTo = new Map();
+        from.forEach((obj, i) => {
+            if (i < to.length && fromKeys[i] != toKeys[i] && toKeys.indexOf(fromKeys[i]) < 0 && fromKeys.indexOf(toKeys[i]) < 0) {
+                renamedTo.set(fromKeys[i], toKeys[i]);
+            }
+        });
+
+        from.forEach((obj, i) => {
+            let key = fromKeys[i];
+            let toIdx = toKeys.indexOf(renamedTo.has(key) ? renamedTo.get(key) : key);
+            if (toIdx < 0) {
+                ops.push({ op: "remove", path: path, key: key });
+                return;
+            }
+
+            let objOps = [];
+            diffValue(path.concat(key), obj, to[toIdx], objOps);
+            // Changes to a renamed object's properties are found by its old key, so the rename goes after them; when more
+            // than one property of its key changes, the first would stop the rest finding it, so it's replaced instead
+            let isKeyOp = op => op.path.length == path.length + 2 && list.props.indexOf(op.path[path.length + 1]) > -1;
+            let keyOps = objOps.filter(isKeyOp);
+            if (keyOps.length > 1) {
+                ops.push({ op: "set", path: path.concat(key), value: to[toIdx] });
+            } else {
+                objOps.filter(op => !isKeyOp(op)).concat(keyOps).forEach(op => ops.push(op));
+            }
+        });
+
+        let renamed = new Set(renamedTo.values());
+        let currentKeys = fromKeys.filter(key => toKeys.indexOf(key) > -1 || renamedTo.has(key)).map(key => renamedTo.get(key) || key);
+        to.forEach((obj, i) => {
+            let key = toKeys[i];
+            if (fromKeys.indexOf(key) < 0 && !renamed.has(key)) {
+                let after = i > 0 ? toKeys[i - 1] : null;
+                ops.push({ op: "insert", path: path, key: key, after: after, value: obj });
+                currentKeys.splice(after == null ? 0 : currentKeys.indexOf(after) + 1, 0, key);
+            }
+        });
+
+        if (currentKeys.join("\n") != toKeys.join("\n")) {
+            ops.push({ op: "reorder", path: path, keys: toKeys });
+        }
+    }
+
+    function diffValue(path, from, to, ops) {
+        Object.keys(from).forEach(prop => {
+            if (!(prop in to)) {
+                ops.push({ op: "unset", path: path.concat(prop) });
+            }
+        });
+        Object.keys(to).forEach(prop => {
+            let list = KEYED_LISTS[prop];
+            if (list && Array.isArray(from[prop]) && Array.isArray(to[prop]) && isKeyable(list, from[prop]) && isKeyable(list, to[prop])) {
+                diffList(path.concat(prop), list, from[prop], to[prop], ops);
+            } else if (JSON.stringify(from[prop]) !== JSON.stringify(to[prop])) {
+                ops.push({ op: "set", path: path.concat(prop), value: to[prop] });
+            }
+        });
+    }
+
+    // Returns the operations that turn one copy of a schema into another
+    function diff(from, to) {
+        if (!isKeyable(DATABASES, from) || !isKeyable(DATABASES, to)) {
+            return [{ op: "set", path: [], value: to }];
+        }
+        let ops = [];
+        diffList([], DATABASES, from, to, ops);
+        return ops;
+    }
+
+    // Path segments are property names, or keys of objects in lists, which are names or code values
+    function isSegment(segment) {
+        return (typeof segment == "string" && segment != "__proto__") || Number.isSafeInteger(segment);
+    }
+
+    function checkOp(op) {
+        if (!isObject(op) || !Array.isArray(op.path) || !op.path.every(isSegment)) {
+            throw new TypeError("Operations must be objects with a path of property names and keys");
+        }
+        switch (op.op) {
+            case "set":
+                if (!("value" in op)) {
+                    throw new TypeError("set operations must have a value");
+                }
+                break;
+
+            case "unset":
+                break;
+
+            case "insert":
+                if (!isSegment(op.key) || (op.after != null && !isSegment(op.after)) || !("value" in op)) {
+                    throw new TypeError("insert operations must have a key, a value and a key or null to go after");
+                }
+                break;
+
+            case "remove":
+                if (!isSegment(op.key)) {
+                    throw new TypeError("remove operations must have a key");
+                }
+                break;
+
+            case "reorder":
+                if (!Array.isArray(op.keys) || !op.keys.every(isSegment)) {
+                    throw new TypeError("reorder operations must have a list of keys");
+                }
+                break;
+
+            default:
+                throw new TypeError(`Unknown operation "${op.op}"`);
+        }
+    }
+
+    // Follows a path from the list of databases, returning the list or object it ends at and the kind of list it is in, or
+    // undefined if it doesn't exist
+    function resolve(databases, path) {
+        let current = databases;
+        let list = DATABASES;
+        for (let i = 0; i < path.length; i++) {
+            let segment = path[i];
+            if (Array.isArray(current)) {
+                if (!list) {
+                    return undefined;
+                }
+                let key = String(segment);
+                current = current.find(obj => keyOf(list, obj) === key);
+                list = null;
+            } else if (isObject(current) && Object.prototype.hasOwnProperty.call(current, segment)) {
+                list = KEYED_LISTS[segment];
+                current = current[segment];
+            } else {
+                return undefined;
+            }
+        }
+        return current === undefined ? undefined : { value: current, list: list };
+    }
+
+    function indexOfKey(list, objs, key) {
+        return objs.findIndex(obj => keyOf(list, obj) === String(key));
+    }
+
+    function applyOne(databases, op) {
+        if (op.op == "set" || op.op == "unset") {
+            if (!op.path.length) {
+                if (op.op == "set" && Array.isArray(op.value)) {
+                    databases.splice.apply(databases, [0, databases.length].concat(op.value));
+                }
+                return;
+            }
+
+            let parent = resolve(databases, op.path.slice(0, -1));
+            let prop = op.path[op.path.length - 1];
+            if (!parent) {
+                return;
+            }
+            if (Array.isArray(parent.value)) {
+                // Setting an object in a keyed list replaces it
+                let idx = parent.list ? indexOfKey(parent.list, parent.value, prop) : -1;
+                if (idx > -1 && op.op == "set") {
+                    parent.value[idx] = op.value;
+                }
+            } else if (isObject(parent.value)) {
+                if (op.op == "set") {
+                    parent.value[prop] = op.value;
+                } else {
+                    delete parent.value[prop];
+                }
+            }
+            return;
+        }
+
+        let found = resolve(databases, op.path);
+        if (!found || !Array.isArray(found.value) || !found.list) {
+            return;
+        }
+        let objs = found.value;
+        let list = found.list;
+
+        switch (op.op) {
+            case "remove": {
+                let idx = indexOfKey(list, objs, op.key);
+                if (idx > -1) {
+                    objs.splice(idx, 1);
+                }
+                break;
+            }
+
+            case "insert": {
+                // An object added with the same key as an existing one replaces it
+                let existing = indexOfKey(list, objs, op.key);
+                if (existing > -1) {
+                    objs.splice(existing, 1);
+                }
+                // If the object it goes after has been removed, it goes last
+                let after = op.after == null ? -1 : indexOfKey(list, objs, op.after);
+                objs.splice(op.after != null && after < 0 ? objs.length : after + 1, 0, op.value);
+                break;
+            }
+
+            case "reorder": {
+                // Objects missing from the order, which were added since it was sent, go last in their current order
+                let rank = obj => {
+                    let idx = op.keys.indexOf(keyOf(list, obj));
+                    return idx < 0 ? op.keys.length : idx;
+                };
+                let sorted = objs.map((obj, i) => ({ obj: obj, rank: rank(obj), i: i }))
+                    .sort((a, b) => a.rank - b.rank || a.i - b.i)
+                    .map(entry => entry.obj);
+                objs.splice.apply(objs, [0, objs.length].concat(sorted));
+                break;
+            }
+        }
+    }
+
+    // Applies operations in order to a schema, changing it in place; throws a TypeError without changing anything if any of
+    // them isn't well formed
+    function apply(databases, ops) {
+        if (!Array.isArray(ops)) {
+            throw new TypeError("Operations must be a list");
+        }
+        ops.forEach(checkOp);
+        ops.forEach(op => applyOne(databases, op));
+        return databases;
+    }
+
+    // Identifies the part of the schema an operation replaces, so that operations on the same part can be recognised as
+    // conflicting; removals and reorders don't conflict with anything, as whichever is applied last still has its effect
+    function target(op) {
+        switch (op.op) {
+            case "set":
+            case "unset":
+                return JSON.stringify(op.path);
+
+            case "insert":
+                return JSON.stringify(op.path.concat(op.key));
+
+            default:
+                return null;
+        }
+    }
+
+    return {
+        diff: diff,
+        apply: apply,
+        target: target,
+    };
+});
@@ -0,0 +1,770 @@
+// Shared between the from-sql.js CLI and the app, so this is loadable both as a CommonJS module and as a browser global
+(function (root, factory) {
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SqlImport = factory();
+    }
+})(this, function () {
+    "use strict";
+
+    const INTEGER_SIZES = {
+        TINYINT: "TINYINT",
+        SMALLINT: "SMALLINT",
+        MEDIUMINT: "MEDIUMINT",
+        INT: "INT",
+        INTEGER: "INT",
+        BIGINT: "BIGINT",
+    };
+
+    // TINYTEXT and TINYBLOB become the smallest size with a maximum length, as there's no tiny size
+    const TEXT_SIZES = {
+        TINYTEXT: "TEXT",
+        TEXT: "TEXT",
+        MEDIUMTEXT: "MEDIUMTEXT",
+        LONGTEXT: "LONGTEXT",
+    };
+
+    const BLOB_SIZES = {
+        TINYBLOB: "BLOB",
+        BLOB: "BLOB",
+        MEDIUMBLOB: "MEDIUMBLOB",
+        LONGBLOB: "LONGBLOB",
+    };
+
+    const FLOAT_SIZES = {
+        FLOAT: "FLOAT",
+        REAL: "DOUBLE",
+        DOUBLE: "DOUBLE",
+    };
+
+    // Imported columns that foreign keys can reference
+    const FK_TARGET_TYPES = new Set(["integer", "serial", "string", "binary"]);
+
+    const IGNORED_STATEMENTS = new Set(["SET", "LOCK", "UNLOCK", "INSERT", "DROP", "REPLACE", "START", "COMMIT", "BEGIN"]);
+
+    // Each token has the line it starts on, so that warnings about a statement can say where it is
+    function tokenise(sql) {
+        let tokens = [];
+        let i = 0;
+        let line = 1;
+        let counted = 0;
+
+        function lineAt(position) {
+            for (; counted < position; counted++) {
+                if (sql[counted] == "\n") {
+                    line++;
+                }
+            }
+            return line;
+        }
+
+        while (i < sql.length) {
+            let ch = sql[i];
+            let rest = sql.slice(i);
+            let match;
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (rest.startsWith("--") || ch == "#") {
+                let end = sql.indexOf("\n", i);
+                i = end < 0 ? sql.length : end + 1;
+            } else if (rest.startsWith("/*")) {
+                // This also skips mysqldump's /*!40101 ... */ version-conditional statements, which are only session settings
+                let end = sql.indexOf("*/", i + 2);
+                i = end < 0 ? sql.length : end + 2;
+            } else if (ch == "`" || ch == "'" || ch == '"') {
+                let value = "";
+                let j = i + 1;
+                while (j < sql.length) {
+                    if (sql[j] == ch && sql[j + 1] == ch) {
+                        value += ch;
+                        j += 2;
+                    } else if (sql[j] == ch) {
+                        break;
+                    } else if (sql[j] == "\\" && ch != "`") {
+                        let escaped = sql[j + 1];
+                        value += escaped == "n" ? "\n" : escaped == "t" ? "\t" : escaped == "0" ? "\0" : escaped;
+                        j += 2;
+                    } else {
+                        value += sql[j];
+                        j++;
+                    }
+                }
+                tokens.push({
+                    type: ch == "`" ? "identifier" : "string",
+                    value: value,
+                    line: lineAt(i),
+                });
+                i = j + 1;
+            } else if ((match = /^(0x[0-9a-fA-F]+|[0-9]+(\.[0-9]+)?)/.exec(rest))) {
+                tokens.push({
+                    type: match[1].startsWith("0x") ? "hex" : "number",
+                    value: match[1],
+                    line: lineAt(i),
+                });
+                i += match[1].length;
+            } else if ((match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(rest))) {
+                tokens.push({
+                    type: "word",
+                    value: match[0],
+                    line: lineAt(i),
+                });
+                i += match[0].length;
+            } else {
+                tokens.push({
+                    type: "symbol",
+                    value: ch,
+                    line: lineAt(i),
+                });
+                i++;
+            }
+        }
+
+        return tokens;
+    }
+
+    function isWord(token, word) {
+        return !!token && token.type == "word" && token.value.toUpperCase() == word;
+    }
+
+    function isSymbol(token, symbol) {
+        return !!token && token.type == "symbol" && token.value == symbol;
+    }
+
+    function isName(token) {
+        return !!token && (token.type == "identifier" || token.type == "word");
+    }
+
+    function splitOn(tokens, symbol) {
+        let groups = [[]];
+        let depth = 0;
+
+        tokens.forEach(token => {
+            if (isSymbol(token, "(")) {
+                depth++;
+            } else if (isSymbol(token, ")")) {
+                depth--;
+            }
+
+            if (depth == 0 && isSymbol(token, symbol)) {
+                groups.push([]);
+            } else {
+                groups[groups.length - 1].push(token);
+            }
+        });
+
+        return groups.filter(group => group.length);
+    }
+
+    // Semicolons only end statements in a dump, so an unclosed parenthesis can't swallow the statements after it
+    function splitStatements(tokens) {
+        let statements = [[]];
+        tokens.forEach(token => {
+            if (isSymbol(token, ";")) {
+                statements.push([]);
+            } else {
+                statements[statements.length - 1].push(token);
+            }
+        });
+        return statements.filter(statement => statement.length);
+    }
+
+    // Returns the tokens inside the parentheses starting at tokens[start], and the position after the closing parenthesis
+    function readParenthesised(tokens, start) {
+        if (!isSymbol(tokens[start], "(")) {
+            return null;
+        }
+
+        let depth = 0;
+        for (let i = start; i < tokens.length; i++) {
+            if (isSymbol(tokens[i], "(")) {
+                depth++;
+            } else if (isSymbol(tokens[i], ")")) {
+                depth--;
+                if (!depth) {
+                    return {
+                        tokens: tokens.slice(start + 1, i),
+                        end: i + 1,
+                    };
+                }
+            }
+        }
+
+        throw new SyntaxError("Unterminated parenthesis");
+    }
+
+    // Reads "name" or "database.name" starting at tokens[start]
+    function readQualifiedName(tokens, start) {
+        if (!isName(tokens[start])) {
+            throw new SyntaxError(`Expected name but got "${tokens[start] ? tokens[start].value : "end of statement"}"`);
+        }
+
+        if (isSymbol(tokens[start + 1], ".") && isName(tokens[start + 2])) {
+            return {
+                database: tokens[start].value,
+                name: tokens[start + 2].value,
+                end: start + 3,
+            };
+        }
+
+        return {
+            database: null,
+            name: tokens[start].value,
+            end: start + 1,
+        };
+    }
+
+    // Columns are kept as just their name unless they have a prefix length or descending order, like in the editor
+    function readIndexColumns(tokens, warn) {
+        return splitOn(tokens, ",").map(group => {
+            let column = {
+                name: group[0].value,
+            };
+            let i = 1;
+            let prefix = readParenthesised(group, i);
+            if (prefix) {
+                column.length = Number.parseInt(prefix.tokens[0].value, 10);
+                i = prefix.end;
+            }
+            if (isWord(group[i], "DESC")) {
+                column.order = "DESC";
+                i++;
+            } else if (isWord(group[i], "ASC")) {
+                i++;
+            }
+            if (i < group.length) {
+                warn(`index column "${column.name}" is an expression or has unsupported options; only its name was imported`);
+                return column.name;
+            }
+            return column.length == undefined && column.order == undefined ? column.name : column;
+        });
+    }
+
+    // Identifies a statement in warnings by where it starts and its first few words
+    function describeStatement(tokens) {
+        return `line ${tokens[0].line}: ${tokens.slice(0, 3).map(t => t.value).join(" ")}...`;
+    }
+
+    function indexColumnName(column) {
+        return typeof column == "string" ? column : column.name;
+    }
+
+    function importSql(sql, options) {
+        options = options || {};
+
+        let databases = [];
+        let warnings = [];
+        let currentDatabase = null;
+
+        // FOREIGN KEY clauses are resolved once every table is known, as they can refer to tables defined later
+        let foreignKeys = [];
+
+        function getDatabase(name) {
+            let db = databases.find(db => db.name === name);
+            if (!db) {
+                db = {
+                    name: name,
+                    type: "fixed",
+                    charset: "utf8mb4",
+                    collation: "utf8mb4_unicode_ci",
+                    comments: "",
+                    tables: [],
+                };
+                databases.push(db);
+            }
+            return db;
+        }
+
+        function parseCreateDatabase(tokens) {
+            let i = 2;
+            if (isWord(tokens[i], "IF")) {
+                i += 3;
+            }
+
+            if (!isName(tokens[i])) {
+                throw new SyntaxError(`Expected database name but got "${tokens[i] ? tokens[i].value : "end of statement"}"`);
+            }
+            let db = getDatabase(tokens[i].value);
+
+            for (i++; i < tokens.length; i++) {
+                if (isWord(tokens[i], "CHARACTER") && isWord(tokens[i + 1], "SET") || isWord(tokens[i], "CHARSET")) {
+                    i += isWord(tokens[i], "CHARSET") ? 1 : 2;
+                    if (isSymbol(tokens[i], "=")) {
+                        i++;
+                    }
+                    db.charset = tokens[i].value;
+                } else if (isWord(tokens[i], "COLLATE")) {
+                    i++;
+                    if (isSymbol(tokens[i], "=")) {
+                        i++;
+                    }
+                    db.collation = tokens[i].value;
+                }
+            }
+        }
+
+        function parseColumn(tokens, table, warn) {
+            let name = tokens[0].value;
+            if (!isName(tokens[1])) {
+                throw new SyntaxError(`Expected type of column "${name}" but got "${tokens[1] ? tokens[1].value : "end of definition"}"`);
+            }
+            let typeName = tokens[1].value.toUpperCase();
+            let i = 2;
+
+            let typeArgs = [];
+            let parenthesised = readParenthesised(tokens, i);
+            if (parenthesised) {
+                typeArgs = splitOn(parenthesised.tokens, ",").map(group => group[0].value);
+                i = parenthesised.end;
+            }
+
+            let attrs = {
+                unsigned: false,
+                nullable: true,
+                defaultValue: undefined,
+                autoIncrement: false,
+                comments: "",
+            };
+
+            while (i < tokens.length) {
+                let token = tokens[i];
+
+                if (isWord(token, "UNSIGNED")) {
+                    attrs.unsigned = true;
+                    i++;
+                } else if (isWord(token, "SIGNED") || isWord(token, "ZEROFILL")) {
+                    i++;
+                } else if (isWord(token, "NOT") && isWord(tokens[i + 1], "NULL")) {
+                    attrs.nullable = false;
+                    i += 2;
+                } else if (isWord(token, "NULL")) {
+                    i++;
+                } else if (isWord(token, "AUTO_INCREMENT")) {
+                    attrs.autoIncrement = true;
+                    i++;
+                } else if (isWord(token, "DEFAULT")) {
+                    let value = tokens[i + 1];
+                    i += 2;
+                    if (isSymbol(value, "-") && tokens[i] && tokens[i].type == "number") {
+                        value = {
+                            type: "number",
+                            value: "-" + tokens[i].value,
+                        };
+                        i++;
+                    }
+                    if (isSymbol(tokens[i], "(")) {
+                        i = readParenthesised(tokens, i).end;
+                    }
+                    if (!isWord(value, "NULL")) {
+                        attrs.defaultValue = value;
+                    }
+                } else if (isWord(token, "COMMENT")) {
+                    attrs.comments = tokens[i + 1].value;
+                    i += 2;
+                } else if (isWord(token, "CHARACTER") && isWord(tokens[i + 1], "SET")) {
+                    i += 3;
+                } else if (isWord(token, "CHARSET") || isWord(token, "COLLATE")) {
+                    i += 2;
+                } else if (isWord(token, "ON") && isWord(tokens[i + 1], "UPDATE")) {
+                    warn(`ON UPDATE ${tokens[i + 2].value} is not supported and was ignored`);
+                    i += 3;
+                    if (isSymbol(tokens[i], "(")) {
+                        i = readParenthesised(tokens, i).end;
+                    }
+                } else if (isWord(token, "PRIMARY") && isWord(tokens[i + 1], "KEY")) {
+                    table.indexes.push({
+                        type: "primary",
+                        columns: [name],
+                    });
+                    i += 2;
+                } else if (isWord(token, "UNIQUE")) {
+                    table.indexes.push({
+                        type: "unique",
+                        columns: [name],
+                    });
+                    i += isWord(tokens[i + 1], "KEY") ? 2 : 1;
+                } else {
+                    warn(`column attribute "${token.value}" ignored`);
+                    i++;
+                }
+            }
+
+            let col = {
+                type: null,
+                name: name,
+                comments: attrs.comments,
+            };
+
+            let defaultValue = attrs.defaultValue;
+
+            if (typeName == "TINYINT" && typeArgs[0] == "1") {
+                col.type = "boolean";
+                if (defaultValue) {
+                    col.defaultValue = Number.parseInt(defaultValue.value, 10) ? 1 : 0;
+                }
+                col.nullable = attrs.nullable;
+            } else if (INTEGER_SIZES[typeName] && attrs.autoIncrement) {
+                col.type = "serial";
+                col.size = INTEGER_SIZES[typeName];
+                if (!attrs.unsigned) {
+                    warn(`signed AUTO_INCREMENT column imported as an unsigned serial`);
+                }
+            } else if (INTEGER_SIZES[typeName]) {
+                col.type = "integer";
+                col.size = INTEGER_SIZES[typeName];
+                col.unsigned = attrs.unsigned;
+                if (defaultValue) {
+                    let value = Number(defaultValue.value);
+                    if (Number.isSafeInteger(value)) {
+                        col.defaultValue = value;
+                    } else {
+                        warn(`default value "${defaultValue.value}" is not an integer and was ignored`);
+                    }
+                }
+                col.nullable = attrs.nullable;
+            } else if (typeName == "VARCHAR" || typeName == "CHAR") {
+                col.type = "string";
+                col.maxLength = Number.parseInt(typeArgs[0], 10);
+                if (defaultValue) {
+                    if (defaultValue.type == "string" && defaultValue.value === "") {
+                        col.defaultValue = "''";
+                    } else {
+                        warn(`non-empty default value "${defaultValue.value}" is not supported and was ignored`);
+                    }
+                }
+                col.nullable = attrs.nullable;
+            } else if (typeName == "VARBINARY" || typeName == "BINARY") {
+                col.type = "binary";
+                col.maxSize = Number.parseInt(typeArgs[0], 10);
+                if (typeName == "BINARY") {
+                    col.minSize = col.maxSize;
+                }
+                if (defaultValue) {
+                    if (defaultValue.type == "hex") {
+                        col.defaultValue = defaultValue.value;
+                    } else if (defaultValue.type == "string" && defaultValue.value === "") {
+                        col.defaultValue = "''";
+                    } else {
+                        warn(`default value "${defaultValue.value}" is not supported and was ignored`);
+                    }
+                }
+                col.nullable = attrs.nullable;
+            } else if (typeName == "DECIMAL" || typeName == "NUMERIC") {
+                col.type = "decimal";
+                col.precision = typeArgs.length ? Number.parseInt(typeArgs[0], 10) : 10;
+                col.scale = typeArgs.length > 1 ? Number.parseInt(typeArgs[1], 10) : 0;
+                col.unsigned = attrs.unsigned;
+                if (defaultValue) {
+                    col.defaultValue = defaultValue.value;
+                }
+                col.nullable = attrs.nullable;
+            } else if (FLOAT_SIZES[typeName]) {
+                col.type = "float";
+                col.size = FLOAT_SIZES[typeName];
+                if (attrs.unsigned) {
+                    col.minValue = 0;
+                }
+                if (defaultValue) {
+                    let value = Number(defaultValue.value);
+                    if (Number.isFinite(value)) {
+                        col.defaultValue = value;
+                    } else {
+                        warn(`default value "${defaultValue.value}" is not a number and was ignored`);
+                    }
+                }
+                col.nullable = attrs.nullable;
+            } else if (TEXT_SIZES[typeName]) {
+                col.type = "text";
+                col.size = TEXT_SIZES[typeName];
+                if (typeName == "TINYTEXT") {
+                    col.maxLength = 255;
+                }
+                if (defaultValue) {
+                    warn(`default value "${defaultValue.value}" is not supported for text columns and was ignored`);
+                }
+                col.nullable = attrs.nullable;
+            } else if (BLOB_SIZES[typeName]) {
+                col.type = "blob";
+                col.size = BLOB_SIZES[typeName];
+                if (typeName == "TINYBLOB") {
+                    col.maxSize = 255;
+                }
+                if (defaultValue) {
+                    warn(`default value "${defaultValue.value}" is not supported for blob columns and was ignored`);
+                }
+                col.nullable = attrs.nullable;
+            } else if (typeName == "DATE" || typeName == "DATETIME") {
+                col.type = typeName.toLowerCase();
+                if (typeName == "DATETIME") {
+                    col.precision = typeArgs.length ? Number.parseInt(typeArgs[0], 10) : 0;
+                }
+                if (defaultValue) {
+                    let value = String(defaultValue.value).toUpperCase();
+                    if (defaultValue.type == "string") {
+                        col.defaultValue = defaultValue.value;
+                    } else if (typeName == "DATETIME" && (value == "CURRENT_TIMESTAMP" || value == "NOW")) {
+                        col.defaultValue = "CURRENT_TIMESTAMP";
+                    } else {
+                        warn(`default value "${defaultValue.value}" is not supported and was ignored`);
+                    }
+                }
+                col.nullable = attrs.nullable;
+            } else if (typeName == "JSON") {
+                col.type = "json";
+                col.nullable = attrs.nullable;
+            } else {
+                warn(`type ${typeName}${typeArgs.length ? `(${typeArgs.join(",")})` : ""} cannot be mapped to a compose-db column type; column skipped`);
+                return null;
+            }
+
+            if (col.maxLength > 1024 || col.maxSize > 1024) {
+                warn(`size exceeds the editor's limit of 1024`);
+            }
+
+            if (!/^[a-z][a-zA-Z0-9]+$/.test(name)) {
+                warn(`column name does not follow the naming convention`);
+            }
+
+            return col;
+        }
+
+        function parseCreateTable(tokens) {
+            let i = 2;
+            if (isWord(tokens[i], "TEMPORARY")) {
+                i++;
+            }
+            if (isWord(tokens[i], "IF")) {
+                i += 3;
+            }
+
+            let qualifiedName = readQualifiedName(tokens, i);
+            let dbName = qualifiedName.database || currentDatabase || options.database || "imported";
+            let db = getDatabase(dbName);
+
+            let table = {
+                name: qualifiedName.name,
+                type: "fixed",
+                comments: "",
+                indexes: [],
+                columns: [],
+            };
+            let tablePath = `${db.name}.${table.name}`;
+            let tableWarn = message => warnings.push(`${tablePath}: ${message}`);
+
+            if (!/^[a-z_]+$/.test(table.name)) {
+                tableWarn(`table name does not follow the naming convention`);
+            }
+
+            let definitions = readParenthesised(tokens, qualifiedName.end);
+            if (!definitions) {
+                tableWarn(`CREATE TABLE without column definitions ignored`);
+                return;
+            }
+
+            let skippedColumns = new Set();
+
+            splitOn(definitions.tokens, ",").forEach(def => {
+                let first = def[0];
+                let j = 0;
+
+                if (isWord(first, "CONSTRAINT")) {
+                    j = isName(def[1]) && !isWord(def[1], "PRIMARY") && !isWord(def[1], "UNIQUE") && !isWord(def[1], "FOREIGN") && !isWord(def[1], "CHECK") ? 2 : 1;
+                    first = def[j];
+                }
+
+                if (isWord(first, "PRIMARY") || isWord(first, "UNIQUE") || isWord(first, "KEY") || isWord(first, "INDEX") || isWord(first, "FULLTEXT")) {
+                    let type = isWord(first, "PRIMARY") ? "primary" : isWord(first, "UNIQUE") ? "unique" : isWord(first, "FULLTEXT") ? "fulltext" : "index";
+                    // The name is either after CONSTRAINT or the last name before the columns, e.g. UNIQUE KEY name (...)
+                    let name = j == 2 ? def[1].value : undefined;
+                    while (j < def.length && !isSymbol(def[j], "(")) {
+                        if (isWord(def[j], "USING")) {
+                            j += 2;
+                            continue;
+                        }
+                        if (isName(def[j]) && !["PRIMARY", "UNIQUE", "FULLTEXT", "KEY", "INDEX"].some(word => isWord(def[j], word))) {
+                            name = def[j].value;
+                        }
+                        j++;
+                    }
+                    let index = {
+                        type: type,
+                        columns: readIndexColumns(readParenthesised(def, j).tokens, tableWarn),
+                    };
+                    if (name != undefined && type != "primary") {
+                        index.name = name;
+                    }
+                    table.indexes.push(index);
+                } else if (isWord(first, "FOREIGN")) {
+                    while (!isSymbol(def[j], "(")) {
+                        j++;
+                    }
+                    let columns = readParenthesised(def, j);
+                    j = columns.end + 1; // REFERENCES
+                    let target = readQualifiedName(def, j);
+                    let targetColumns = readParenthesised(def, target.end);
+
+                    let actions = {};
+                    for (j = targetColumns.end; j < def.length; j++) {
+                        if (isWord(def[j], "ON")) {
+                            let event = def[j + 1].value.toUpperCase();
+                            let action = def[j + 2].value.toUpperCase();
+                            if (action == "SET" || action == "NO") {
+                                action += " " + def[j + 3].value.toUpperCase();
+                                j++;
+                            }
+                            actions[event] = action;
+                            j += 2;
+                        }
+                    }
+
+                    foreignKeys.push({
+                        database: db,
+                        table: table,
+                        columns: splitOn(columns.tokens, ",").map(group => group[0].value),
+                        targetDatabase: target.database || db.name,
+                        targetTable: target.name,
+                        targetColumns: splitOn(targetColumns.tokens, ",").map(group => group[0].value),
+                        actions: actions,
+                    });
+                } else if (isWord(first, "SPATIAL") || isWord(first, "CHECK")) {
+                    tableWarn(`${first.value.toUpperCase()} clause is not supported and was ignored`);
+                } else {
+                    let colWarn = message => warnings.push(`${tablePath}.${def[0].value}: ${message}`);
+                    let col = parseColumn(def, table, colWarn);
+                    if (col) {
+                        table.columns.push(col);
+                    } else {
+                        skippedColumns.add(def[0].value);
+                    }
+                }
+            });
+
+            table.indexes = table.indexes.filter(idx => {
+                let names = idx.columns.map(indexColumnName);
+                if (names.some(c => skippedColumns.has(c))) {
+                    tableWarn(`index of type ${idx.type} on (${names.join(", ")}) skipped as it uses a skipped column`);
+                    return false;
+                }
+                return true;
+            });
+
+            for (i = definitions.end; i < tokens.length; i++) {
+                if (isWord(tokens[i], "COMMENT")) {
+                    i++;
+                    if (isSymbol(tokens[i], "=")) {
+                        i++;
+                    }
+                    table.comments = tokens[i].value;
+                }
+            }
+
+            db.tables.push(table);
+        }
+
+        // RESTRICT behaves like NO ACTION unless constraints are deferred, which MySQL doesn't support
+        function importAction(fk, event, fkWarn) {
+            let action = fk.actions[event] || "NO ACTION";
+            if (action == "RESTRICT") {
+                return "NO ACTION";
+            }
+            if (action == "SET DEFAULT") {
+                fkWarn(`ON ${event} SET DEFAULT is not supported; imported as NO ACTION`);
+                return "NO ACTION";
+            }
+            return action;
+        }
+
+        function resolveForeignKey(fk) {
+            let path = `${fk.database.name}.${fk.table.name}.${fk.columns.join(",")}`;
+            let fkWarn = message => warnings.push(`${path}: ${message}`);
+
+            if (fk.columns.length != fk.targetColumns.length) {
+                fkWarn(`foreign key has a different number of columns to the key it references; foreign key ignored`);
+                return;
+            }
+
+            let cols = fk.columns.map(name => fk.table.columns.find(c => c.name === name));
+            if (cols.some(col => !col)) {
+                fkWarn(`foreign key on a skipped column ignored`);
+                return;
+            }
+
+            let targetDb = databases.find(db => db.name === fk.targetDatabase);
+            let targetTable = targetDb && targetDb.tables.find(t => t.name === fk.targetTable);
+            let targetCols = fk.targetColumns.map(name => targetTable && targetTable.columns.find(c => c.name === name));
+            if (targetCols.some(col => !col)) {
+                fkWarn(`referenced columns ${fk.targetDatabase}.${fk.targetTable}.(${fk.targetColumns.join(",")}) are not in the dump; imported as plain columns`);
+                return;
+            }
+            if (targetCols.some(col => !FK_TARGET_TYPES.has(col.type))) {
+                fkWarn(`referenced columns have a type that cannot be referenced; imported as plain columns`);
+                return;
+            }
+
+            let ondelete = importAction(fk, "DELETE", fkWarn);
+            let onupdate = importAction(fk, "UPDATE", fkWarn);
+
+            cols.forEach((col, i) => {
+                let fkCol = {
+                    type: "FK",
+                    name: col.name,
+                    comments: col.comments,
+                    column: `${targetDb == fk.database ? "" : (targetDb.name + ".")}${targetTable.name}.${targetCols[i].name}`,
+                    ondelete: ondelete,
+                    onupdate: onupdate,
+                    nullable: col.type == "serial" ? false : col.nullable,
+                };
+                // Columns of a multi-column foreign key are grouped by the name of its first column
+                if (cols.length > 1) {
+                    fkCol.group = cols[0].name;
+                }
+                if (Number.isSafeInteger(col.defaultValue) && (targetCols[i].type == "integer" || targetCols[i].type == "serial")) {
+                    fkCol.defaultValue = col.defaultValue;
+                }
+
+                fk.table.columns[fk.table.columns.indexOf(col)] = fkCol;
+            });
+        }
+
+        splitStatements(tokenise(sql)).forEach(tokens => {
+            let keyword = tokens[0].type == "word" ? tokens[0].value.toUpperCase() : "";
+
+            // A malformed statement is skipped entirely, including any database, foreign keys and warnings it had added so far
+            let databaseCount = databases.length;
+            let foreignKeyCount = foreignKeys.length;
+            let warningCount = warnings.length;
+            try {
+                if (keyword == "CREATE" && (isWord(tokens[1], "DATABASE") || isWord(tokens[1], "SCHEMA"))) {
+                    parseCreateDatabase(tokens);
+                } else if (keyword == "CREATE" && (isWord(tokens[1], "TABLE") || isWord(tokens[1], "TEMPORARY"))) {
+                    parseCreateTable(tokens);
+                } else if (keyword == "USE") {
+                    if (!isName(tokens[1])) {
+                        throw new SyntaxError(`Expected database name but got "${tokens[1] ? tokens[1].value : "end of statement"}"`);
+                    }
+                    currentDatabase = tokens[1].value;
+                    getDatabase(currentDatabase);
+                } else if (!IGNORED_STATEMENTS.has(keyword)) {
+                    warnings.push(`${describeStatement(tokens)}: statement not supported and was ignored`);
+                }
+            } catch (err) {
+                databases.length = databaseCount;
+                foreignKeys.length = foreignKeyCount;
+                warnings.length = warningCount;
+                warnings.push(`${describeStatement(tokens)}: statement could not be parsed and was ignored${err instanceof SyntaxError ? ` (${err.message})` : ""}`);
+            }
+        });
+
+        foreignKeys.forEach(resolveForeignKey);
+
+        return {
+            databases: databases,
+            warnings: warnings,
+        };
+    }
+
+    return {
+        importSql: importSql,
+    };
+});
@@ -0,0 +1,422 @@
+"use strict";
+
+const fs = require('fs-extra');
+const minimist = require("minimist");
+const SchemaValidator = require('./validator');
+const SqlGenerator = require('./to-sql');
+
+// Generates a data dictionary for reading rather than running, as a static HTML site and a Markdown page:
+//   <out>/<schema>/index.html           databases and their tables
+//   <out>/<schema>/<database>.html      each table's columns, code values, indexes and foreign keys
+//   <out>/<schema>.md                   everything on one page
+// Both are built from the same description of the schema, so they always say the same things.
+
+function resolveFKTarget(col, database, databases) {
+    let target = SchemaValidator.resolveFKTarget(col, database, databases);
+    if (target.error) {
+        throw new ReferenceError(target.error);
+    }
+    return target;
+}
+
+// Anchors are "<database>.<table>" and "<database>.<table>.<column>", which are unique and valid in both formats
+function anchor(database, table, column) {
+    return [database.name, table.name].concat(column ? [column.name] : []).join(".");
+}
+
+// The type to-sql.js creates the column with in the chosen dialect, noting what integers that aren't plain numbers hold
+function sqlType(col, column, database, databases, dialect) {
+    let type = SqlGenerator.columnType(col, database, databases, { dialect: dialect });
+    switch (column.type) {
+        case "timestamp":
+            return `${type} (Unix time)`;
+
+        case "code":
+            return `${type} (code)`;
+
+        default:
+            return type;
+    }
+}
+
+function range(min, max, unit) {
+    unit = unit ? ` ${unit}` : "";
+    if (min != undefined && max != undefined) {
+        return `${min} to ${max}${unit}`;
+    }
+    if (min != undefined) {
+        return `at least ${min}${unit}`;
+    }
+    return max != undefined ? `at most ${max}${unit}` : null;
+}
+
+// Describes the values a column accepts, including limits that come from its type rather than the schema
+function columnRules(column) {
+    let rules = [];
+
+    switch (column.type) {
+        case "integer":
+        case "serial":
+            let integerRange = SchemaValidator.integerRange(column.size, column.type == "serial" || column.unsigned);
+            let min = column.type == "serial" || column.autoIncrement ? 1 : column.minValue != undefined ? column.minValue : integerRange.min;
+            let max = column.type != "serial" && column.maxValue != undefined ? column.maxValue : integerRange.max;
+            rules.push(range(min, max));
+            break;
+
+        case "decimal":
+            let decimalRange = SchemaValidator.decimalRange(column.precision, column.scale, column.unsigned);
+            rules.push(range(column.minValue != undefined ? column.minValue : decimalRange.min, column.maxValue != undefined ? column.maxValue : decimalRange.max));
+            break;
+
+        case "float":
+            let floatMax = SchemaValidator.FLOAT_MAX[column.size];
+            rules.push(range(column.minValue != undefined ? column.minValue : -floatMax, column.maxValue != undefined ? column.maxValue : floatMax));
+            break;
+
+        case "timestamp":
+            if (column.unsigned) {
+                rules.push("at least 0");
+            }
+            break;
+
+        case "string":
+            rules.push(range(column.minLength, column.maxLength, "characters"));
+            break;
+
+        case "text":
+            rules.push(range(column.minLength, column.maxLength != undefined ? column.maxLength : SchemaValidator.TEXT_SIZES[column.size], column.maxLength != undefined ? "characters" : "bytes"));
+            break;
+
+        case "binary":
+            rules.push(column.minSize === column.maxSize ? `exactly ${column.maxSize} bytes` : range(column.minSize, column.maxSize, "bytes"));
+            break;
+
+        case "blob":
+            rules.push(range(column.minSize, column.maxSize != undefined ? column.maxSize : SchemaValidator.BLOB_SIZES[column.size], "bytes"));
+            break;
+
+        case "date":
+        case "datetime":
+            rules.push(range(column.minValue, column.maxValue));
+            break;
+
+        case "uuid":
+            rules.push("lowercase UUID");
+            break;
+
+        case "code":
+            rules.push("one of the code values");
+            break;
+    }
+
+    if (column.regexpMatch != undefined) {
+        rules.push(`matches /${column.regexpMatch}/`);
+    }
+    if (column.regexpNotMatch != undefined) {
+        rules.push(`doesn't match /${column.regexpNotMatch}/`);
+    }
+
+    return rules.filter(rule => rule);
+}
+
+function foreignKeyActions(col) {
+    return ["ondelete", "onupdate"]
+        .filter(action => col[action] != undefined)
+        .map(action => `${action == "ondelete" ? "ON DELETE" : "ON UPDATE"} ${col[action]}`);
+}
+
+// Everything both formats show, with references resolved in both directions
+function describeSchema(databases, dialect) {
+    let referencedBy = new Map();
+    databases.forEach(database => database.tables.forEach(table => table.columns.filter(col => col.type == "FK").forEach(col => {
+        let target = resolveFKTarget(col, database, databases);
+        let key = anchor(target.database, target.table, target.column);
+        if (!referencedBy.has(key)) {
+            referencedBy.set(key, []);
+        }
+        referencedBy.get(key).push({
+            anchor: anchor(database, table, col),
+            database: database.name,
+            name: `${database.name}.${table.name}.${col.name}`,
+        });
+    })));
+
+    return databases.map(database => ({
+        name: database.name,
+        type: database.type,
+        comments: database.comments,
+        tables: database.tables.map(table => ({
+            name: table.name,
+            anchor: anchor(database, table),
+            type: SchemaValidator.isInstance(table, database) ? "instance" : "fixed",
+            comments: table.comments,
+            columns: table.columns.map(col => {
+                // Like to-lua.js, an FK column takes on its target's type and rules, but keeps its own nullability
+                let column = col;
+                let references = null;
+                if (col.type == "FK") {
+                    let target = resolveFKTarget(col, database, databases);
+                    column = Object.assign({}, target.column, {
+                        name: col.name,
+                        nullable: col.nullable,
+                        defaultValue: col.defaultValue,
+                        autoIncrement: undefined,
+                    });
+                    // Values are generated by the target, not by the columns referring to it
+                    if (column.type == "serial") {
+                        Object.assign(column, { type: "integer", unsigned: true, minValue: 1 });
+                    }
+                    references = {
+                        anchor: anchor(target.database, target.table, target.column),
+                        database: target.database.name,
+                        name: `${target.database.name}.${target.table.name}.${target.column.name}`,
+                        actions: foreignKeyActions(col),
+                    };
+                }
+
+                return {
+                    name: col.name,
+                    anchor: anchor(database, table, col),
+                    type: sqlType(col, column, database, databases, dialect),
+                    rules: columnRules(column),
+                    defaultValue: column.defaultValue,
+                    nullable: !!column.nullable,
+                    comments: col.comments,
+                    values: col.type == "code" ? col.values : null,
+                    references: references,
+                    referencedBy: referencedBy.get(anchor(database, table, col)) || [],
+                };
+            }),
+            indexes: (table.indexes || []).map(idx => ({
+                name: SchemaValidator.indexName(idx),
+                type: idx.type,
+                columns: SchemaValidator.indexColumns(idx).map(c => `${c.name}${c.length != undefined ? `(${c.length})` : ""}${c.order == "DESC" ? " DESC" : ""}`),
+            })),
+        })),
+    }));
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function htmlComments(comments) {
+    return comments ? `<p>${escapeHtml(comments).replace(/\n/g, "<br>")}</p>\n` : "";
+}
+
+// References to other databases link to their pages, as each database has its own
+function htmlLink(ref, fromDatabase) {
+    let page = ref.database === fromDatabase ? "" : `${encodeURIComponent(ref.database)}.html`;
+    return `<a href="${page}#${encodeURIComponent(ref.anchor)}">${escapeHtml(ref.name)}</a>`;
+}
+
+const HTML_STYLE = `
+    body { font-family: sans-serif; margin: 0 auto; max-width: 1100px; padding: 0 18px 36px; color: #333; }
+    table { border-collapse: collapse; margin: 12px 0; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f6f8fa; }
+    code { font-size: 13px; }
+    .table { border-top: 2px solid #5aad35; margin-top: 36px; }
+    .muted { color: #999; }
+`;
+
+function htmlPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>${HTML_STYLE}    </style>
+</head>
+<body>
+${body}</body>
+</html>
+`;
+}
+
+function htmlIndex(schema, schemaName) {
+    let html = `<h1>${escapeHtml(schemaName)}</h1>\n`;
+    schema.forEach(database => {
+        html += `<h2><a href="${encodeURIComponent(database.name)}.html">${escapeHtml(database.name)}</a> <span class="muted">${database.type}</span></h2>\n`;
+        html += htmlComments(database.comments);
+        html += "<ul>\n";
+        database.tables.forEach(table => {
+            html += `<li><a href="${encodeURIComponent(database.name)}.html#${encodeURIComponent(table.anchor)}">${escapeHtml(table.name)}</a></li>\n`;
+        });
+        html += "</ul>\n";
+    });
+    return htmlPage(schemaName, html);
+}
+
+function htmlDatabase(database, schemaName) {
+    let html = `<p><a href="index.html">${escapeHtml(schemaName)}</a></p>\n`;
+    html += `<h1>${escapeHtml(database.name)} <span class="muted">${database.type}</span></h1>\n`;
+    html += htmlComments(database.comments);
+
+    database.tables.forEach(table => {
+        html += `<div class="table">\n`;
+        html += `<h2 id="${escapeHtml(table.anchor)}">${escapeHtml(table.name)} <span class="muted">${table.type}</span></h2>\n`;
+        html += htmlComments(table.comments);
+
+        html += "<table>\n<tr><th>Column</th><th>Type</th><th>Values</th><th>Default</th><th>Null</th><th>References</th><th>Referenced by</th><th>Description</th></tr>\n";
+        table.columns.forEach(col => {
+            html += `<tr id="${escapeHtml(col.anchor)}">`;
+            html += `<td><code>${escapeHtml(col.name)}</code></td>`;
+            html += `<td><code>${escapeHtml(col.type)}</code></td>`;
+            html += `<td>${col.rules.map(escapeHtml).join("<br>")}</td>`;
+            html += `<td>${col.defaultValue != undefined ? `<code>${escapeHtml(col.defaultValue)}</code>` : ""}</td>`;
+            html += `<td>${col.nullable ? "Yes" : "No"}</td>`;
+            html += `<td>${col.references ? [htmlLink(col.references, database.name)].concat(col.references.actions.map(escapeHtml)).join("<br>") : ""}</td>`;
+            html += `<td>${col.referencedBy.map(ref => htmlLink(ref, database.name)).join("<br>")}</td>`;
+            html += `<td>${col.comments ? escapeHtml(col.comments).replace(/\n/g, "<br>") : ""}</td>`;
+            html += "</tr>\n";
+        });
+        html += "</table>\n";
+
+        table.columns.filter(col => col.values).forEach(col => {
+            html += `<h3>Code values of <code>${escapeHtml(col.name)}</code></h3>\n`;
+            html += "<table>\n<tr><th>Code</th><th>Value</th></tr>\n";
+            col.values.forEach(v => {
+                html += `<tr><td>${escapeHtml(v.code)}</td><td><code>${escapeHtml(v.value)}</code></td></tr>\n`;
+            });
+            html += "</table>\n";
+        });
+
+        if (table.indexes.length) {
+            html += "<h3>Indexes</h3>\n";
+            html += "<table>\n<tr><th>Name</th><th>Type</th><th>Columns</th></tr>\n";
+            table.indexes.forEach(idx => {
+                html += `<tr><td><code>${escapeHtml(idx.name)}</code></td><td>${escapeHtml(idx.type)}</td><td><code>${escapeHtml(idx.columns.join(", "))}</code></td></tr>\n`;
+            });
+            html += "</table>\n";
+        }
+        html += "</div>\n";
+    });
+
+    return htmlPage(`${database.name} - ${schemaName}`, html);
+}
+
+// Table cells can't have line breaks or unescaped pipes
+function markdownCell(text) {
+    return String(text).replace(/\|/g, "\\|").replace(/\n/g, "<br>");
+}
+
+function markdownCode(text) {
+    return text === "" ? "" : `\`${markdownCell(text).replace(/`/g, "'")}\``;
+}
+
+function markdownLink(ref) {
+    return `[${markdownCell(ref.name)}](#${ref.anchor})`;
+}
+
+function markdownTable(headings, rows) {
+    let md = `| ${headings.join(" | ")} |\n`;
+    md += `|${headings.map(() => " --- |").join("")}\n`;
+    rows.forEach(row => {
+        md += `| ${row.join(" | ")} |\n`;
+    });
+    return md + "\n";
+}
+
+// Headings are preceded by explicit anchors, as renderers don't agree on how to make them from heading text
+function markdown(schema, schemaName) {
+    let md = `# ${schemaName}\n\n`;
+
+    schema.forEach(database => {
+        md += `## ${database.name} (${database.type})\n\n`;
+        if (database.comments) {
+            md += `${database.comments}\n\n`;
+        }
+        md += database.tables.map(table => `- [${table.name}](#${table.anchor})\n`).join("") + "\n";
+
+        database.tables.forEach(table => {
+            md += `<a id="${table.anchor}"></a>\n\n### ${database.name}.${table.name} (${table.type})\n\n`;
+            if (table.comments) {
+                md += `${table.comments}\n\n`;
+            }
+
+            md += markdownTable(["Column", "Type", "Values", "Default", "Null", "References", "Referenced by", "Description"], table.columns.map(col => [
+                `<a id="${col.anchor}"></a>${markdownCode(col.name)}`,
+                markdownCode(col.type),
+                col.rules.map(markdownCell).join("<br>"),
+                col.defaultValue != undefined ? markdownCode(String(col.defaultValue)) : "",
+                col.nullable ? "Yes" : "No",
+                col.references ? [markdownLink(col.references)].concat(col.references.actions).join("<br>") : "",
+                col.referencedBy.map(markdownLink).join("<br>"),
+                col.comments ? markdownCell(col.comments) : "",
+            ]));
+
+            table.columns.filter(col => col.values).forEach(col => {
+                md += `Code values of ${markdownCode(col.name)}:\n\n`;
+                md += markdownTable(["Code", "Value"], col.values.map(v => [String(v.code), markdownCode(v.value)]));
+            });
+
+            if (table.indexes.length) {
+                md += "Indexes:\n\n";
+                md += markdownTable(["Name", "Type", "Columns"], table.indexes.map(idx => [markdownCode(idx.name), idx.type, markdownCode(idx.columns.join(", "))]));
+            }
+        });
+    });
+
+    return md;
+}
+
+// options.formats is a list of "html" and "markdown", and defaults to both; options.dialect is the SQL dialect types are
+// shown in, as for to-sql.js
+function build(databases, schemaName, options) {
+    options = options || {};
+    let formats = options.formats || ["html", "markdown"];
+    let schema = describeSchema(databases, options.dialect);
+    let files = [];
+
+    if (formats.indexOf("html") > -1) {
+        files.push({ name: `${schemaName}/index.html`, content: htmlIndex(schema, schemaName) });
+        schema.forEach(database => {
+            files.push({ name: `${schemaName}/${database.name}.html`, content: htmlDatabase(database, schemaName) });
+        });
+    }
+    if (formats.indexOf("markdown") > -1) {
+        files.push({ name: `${schemaName}.md`, content: markdown(schema, schemaName) });
+    }
+
+    return files;
+}
+
+module.exports = {
+    build: build,
+};
+
+if (require.main === module) {
+    const ARGS = minimist(process.argv.slice(2), {
+        string: ["format", "dialect"],
+    });
+
+    const IN_DIR = ARGS.in;
+    const OUT_DIR = ARGS.out;
+    // --format html or --format markdown generates only that format
+    const FORMATS = ARGS.format != undefined ? [].concat(ARGS.format) : undefined;
+    // --dialect postgres or --dialect sqlite shows column types as created in that dialect instead of MySQL
+    const DIALECT = ARGS.dialect;
+
+    (FORMATS || []).forEach(format => {
+        if (format != "html" && format != "markdown") {
+            throw new TypeError(`Unknown format "${format}", expected html or markdown`);
+        }
+    });
+
+    fs.readdirSync(IN_DIR).filter(f => /\.json$/.test(f)).map(f => f.slice(0, -5)).forEach(f => {
+        let databases = JSON.parse(fs.readFileSync(`${IN_DIR}/${f}.json`, 'utf8'));
+
+        let validation = SchemaValidator.validate(databases);
+        validation.warnings.forEach(warning => {
+            console.warn(`Warning: ${f}: ${warning.path}: ${warning.message}`);
+        });
+        if (validation.errors.length) {
+            throw new Error(`Schema "${f}" is invalid:\n${SchemaValidator.formatProblems(validation.errors)}`);
+        }
+
+        build(databases, f, { formats: FORMATS, dialect: DIALECT }).forEach(file => {
+            fs.outputFileSync(`${OUT_DIR}/${file.name}`, file.content);
+        });
+    });
+}
@@ -3,253 +3,388 @@
 const fs = require('fs-extra');
 const luamin = require('luamin');
 const minimist = require("minimist");
-
-const ARGS = minimist(process.argv.slice(2));
-
-const IN_DIR = ARGS.in;
-const OUT_DIR = ARGS.out;
-
-fs.readdirSync(IN_DIR).filter(f => /\.json$/.test(f)).map(f => f.slice(0, -5)).forEach(f => {
-  let databases = JSON.parse(fs.readFileSync(`${IN_DIR}/${f}.json`, 'utf8'));
-
-  if (databases.length < 1 || databases.length > 2) {
-    throw new SyntaxError("Invalid amount of databases");
+const SchemaValidator = require('./validator');
+
+// This is both a CLI and a library used by the server. Options are:
+//   frozenModule, setModule  modules required by the generated code
+//   regexpModule             Lua patterns aren't regular expressions, so regexp rules need a library with a
+//                            find(subject, pattern) function, like lrexlib
+//   keys                     database names mapped to their keys under Schema
+//   warn                     called with each warning, instead of printing it
+const DEFAULT_FROZEN_MODULE = "Base.Lua.FrozenTableMetatable";
+const DEFAULT_SET_MODULE = "Base.DataStructure.Set";
+
+const DATE_LUA_PATTERN = "^%d%d%d%d%-%d%d%-%d%d$";
+const DATETIME_LUA_PATTERN = "^%d%d%d%d%-%d%d%-%d%d %d%d:%d%d:%d%d%.?%d*$";
+const UUID_LUA_PATTERN = `^${"%x".repeat(8)}%-${"%x".repeat(4)}%-${"%x".repeat(4)}%-${"%x".repeat(4)}%-${"%x".repeat(12)}$`;
+
+function luaString(str) {
+  return `"${str.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`;
+}
+
+// Errors caused by part of a valid schema are located like validation problems, so the app can show them next to the field
+function schemaError(message, databases, database, table, column, field) {
+  let err = new SyntaxError(message);
+  let location = { database: databases.indexOf(database) };
+  if (table) {
+    location.table = database.tables.indexOf(table);
   }
-
-  let coreDatabase = databases.find(db => db.type == "fixed");
-  let instDatabase = databases.find(db => db.type == "instance");
-
-  let luaCode = `
-        local FrozenTableMetatable = require('Base.Lua.FrozenTableMetatable')
-        local Set = require('Base.DataStructure.Set')
-
-        local Schema = {}
-    `;
-  if (coreDatabase) {
-    luaCode += `
-            Schema.core = {}
-            Schema.core._objectType = "database"
-            Schema.core._objectName = "${coreDatabase.name}"
-        `;
+  if (column) {
+    location.column = table.columns.indexOf(column);
   }
-  if (instDatabase) {
-    luaCode += `
-            Schema.inst = {}
-            Schema.inst._objectType = "database"
-        `;
+  if (field) {
+    location.field = field;
   }
+  err.location = location;
+  err.path = [database, table, column].filter(obj => obj).map(obj => obj.name).concat(field || []).join('.');
+  return err;
+}
+
+// By default, the first fixed database is Schema.core, the first instance database is Schema.inst and any others use
+// their own name
+function databaseKeys(databases, keyOverrides) {
+  let coreDatabase = databases.find(db => db.type == "fixed");
+  let instDatabase = databases.find(db => db.type == "instance");
 
-  function objectToLua(obj) {
-    let luaCode = '{';
+  let keys = new Map();
+  databases.forEach(db => {
+    let key = keyOverrides[db.name] || (db === coreDatabase ? "core" : db === instDatabase ? "inst" : db.name);
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key)) {
+      throw schemaError(`Database "${db.name}" needs a key as its name isn't a valid Lua identifier`, databases, db, null, null, "name");
+    }
+    if (Array.from(keys.values()).indexOf(key) > -1) {
+      throw schemaError(`Multiple databases have the key "${key}"`, databases, db, null, null, "name");
+    }
+    keys.set(db, key);
+  });
+  return keys;
+}
+
+// Returns Lua statements that append to `errors` when `value` breaks one of the column's rules; optional columns can be nil
+function columnChecks(column, codes, options, optional) {
+  let checks = [];
+  let check = (condition, rule, message) => {
+    checks.push(`
+                if ${condition} then
+                    errors[#errors + 1] = { column = ${luaString(column.name)}, rule = ${luaString(rule)}, message = ${luaString(`${column.name} ${message}`)} }
+                end
+            `);
+  };
+
+  switch (column.type) {
+    case "integer":
+    case "serial":
+      check(`not isInteger(value) or value < ${column.minValue} or value > ${column.maxValue}`, "range", `must be an integer between ${column.minValue} and ${column.maxValue}`);
+      break;
+
+    case "timestamp":
+      if (column.unsigned) {
+        check(`not isInteger(value) or value < 0`, "range", "must be a non-negative integer");
+      } else {
+        check(`not isInteger(value)`, "type", "must be an integer");
+      }
+      break;
 
-    Object.keys(obj).forEach(k => {
-      let key = k;
-      if (/^[0-9]+$/.test(key)) {
-        key = Number.parseInt(k, 10);
+    case "string":
+    case "text":
+      check(`type(value) ~= "string"`, "type", "must be a string");
+      if (column.minLength != undefined) {
+        check(`type(value) == "string" and strlen(value) < ${column.minLength}`, "minLength", `must be at least ${column.minLength} characters long`);
+      }
+      if (column.maxLength != undefined) {
+        check(`type(value) == "string" and strlen(value) > ${column.maxLength}`, "maxLength", `must be at most ${column.maxLength} characters long`);
       }
-      switch (typeof key) {
-        case "number":
-          key = "[" + key + "]";
-          break;
+      if (options.regexpModule) {
+        if (column.regexpMatch != undefined) {
+          check(`type(value) == "string" and Regexp.find(value, ${luaString(column.regexpMatch)}) == nil`, "regexpMatch", `must match /${column.regexpMatch}/`);
+        }
+        if (column.regexpNotMatch != undefined) {
+          check(`type(value) == "string" and Regexp.find(value, ${luaString(column.regexpNotMatch)}) ~= nil`, "regexpNotMatch", `must not match /${column.regexpNotMatch}/`);
+        }
+      } else if (column.regexpMatch != undefined || column.regexpNotMatch != undefined) {
+        options.warn(`regexp rules for column "${column.name}" are not checked as no regexp module was provided`);
       }
+      break;
 
-      let value = obj[k];
-      switch (typeof value) {
-        case "string":
-          value = `"${value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"")}"`;
-          break;
-
-        case "object":
-          // In general, there should be no nested objects: 1) flat is better 2) it's easier to setmetatable
-          /* OVERRIDE: Do not detect null, as it's useless to set to nil
-          if (value == null) {
-          value = "nil"; // this is useless
-          } else {
-          */
-          throw new SyntaxError("Detected nested object within column object");
-          break;
+    case "binary":
+    case "blob":
+      check(`type(value) ~= "string"`, "type", "must be a string");
+      if (column.minSize != undefined) {
+        check(`type(value) == "string" and #value < ${column.minSize}`, "minSize", `must be at least ${column.minSize} bytes`);
       }
-      luaCode += `${key} = ${value},`;
-    });
+      if (column.maxSize != undefined) {
+        check(`type(value) == "string" and #value > ${column.maxSize}`, "maxSize", `must be at most ${column.maxSize} bytes`);
+      }
+      break;
+
+    // MySQL and SQLite store booleans as integers, so rows read from them have 0 or 1
+    case "boolean":
+      check(`value ~= true and value ~= false and value ~= 0 and value ~= 1`, "type", "must be a boolean, 0 or 1");
+      break;
+
+    // Lua numbers are doubles, so decimals are only checked against their range; the database rounds them to their scale
+    case "decimal":
+    case "float":
+      check(`type(value) ~= "number"`, "type", "must be a number");
+      if (column.minValue != undefined) {
+        check(`type(value) == "number" and value < ${column.minValue}`, "minValue", `must be at least ${column.minValue}`);
+      }
+      if (column.maxValue != undefined) {
+        check(`type(value) == "number" and value > ${column.maxValue}`, "maxValue", `must be at most ${column.maxValue}`);
+      }
+      break;
+
+    // Same format as the SQL literals; as ISO 8601 they can be compared as strings
+    case "date":
+    case "datetime":
+      let pattern = column.type == "date" ? DATE_LUA_PATTERN : DATETIME_LUA_PATTERN;
+      let format = column.type == "date" ? "YYYY-MM-DD" : "YYYY-MM-DD HH:MM:SS";
+      check(`type(value) ~= "string" or not value:find(${luaString(pattern)})`, "type", `must be a ${format} string`);
+      if (column.minValue != undefined) {
+        check(`type(value) == "string" and value < ${luaString(column.minValue)}`, "minValue", `must not be before ${column.minValue}`);
+      }
+      if (column.maxValue != undefined) {
+        check(`type(value) == "string" and value > ${luaString(column.maxValue)}`, "maxValue", `must not be after ${column.maxValue}`);
+      }
+      break;
 
-    luaCode += '}';
+    case "uuid":
+      check(`type(value) ~= "string" or not value:find(${luaString(UUID_LUA_PATTERN)})`, "type", "must be a UUID string");
+      break;
 
-    return luaCode;
+    case "code":
+      check(`not ({${codes.map(code => `[${code}] = true`).join(",")}})[value]`, "values", `must be one of ${codes.join(", ")}`);
+      break;
   }
 
-  function writeTable(type, table) {
-    luaCode += `
-            Schema.${type}.${table.name} = {}
-            Schema.${type}.${table.name}._objectType = "table"
-            Schema.${type}.${table.name}._objectName = "${table.name}"
+  let nullCheck = optional ? `if value ~= nil then` : `
+            if value == nil then
+                errors[#errors + 1] = { column = ${luaString(column.name)}, rule = "nullable", message = ${luaString(`${column.name} must not be nil`)} }
+            else
         `;
-    table.columns.forEach(column => {
-      let name = column.name;
-      if (column.type == "FK") {
-        let parts = column.column.split('.');
-        let fkDatabase, fkTable, fkColName;
-        if (parts.length == 3) {
-          [fkDatabase, fkTable, fkColName] = parts;
-        } else {
-          [fkTable, fkColName] = parts;
-        }
-        let db;
-        if (fkDatabase == undefined) {
-          db = type == 'core' ? coreDatabase : instDatabase;
+  return `
+            value = row[${luaString(column.name)}]
+            ${nullCheck}
+                ${checks.join("")}
+            end
+        `;
+}
+
+function objectToLua(obj) {
+  let luaCode = '{';
+
+  Object.keys(obj).forEach(k => {
+    let key = k;
+    if (/^[0-9]+$/.test(key)) {
+      key = Number.parseInt(k, 10);
+    }
+    switch (typeof key) {
+      case "number":
+        key = "[" + key + "]";
+        break;
+    }
+
+    let value = obj[k];
+    switch (typeof value) {
+      case "string":
+        value = luaString(value);
+        break;
+
+      case "object":
+        // In general, there should be no nested objects: 1) flat is better 2) it's easier to setmetatable
+        /* OVERRIDE: Do not detect null, as it's useless to set to nil
+        if (value == null) {
+        value = "nil"; // this is useless
         } else {
-          db = fkDatabase == coreDatabase.name ? coreDatabase : instDatabase;
-        }
-        let fkCol = db.tables.find(t => t.name == fkTable).columns.find(col => col.name == fkColName);
-        if (!fkCol) {
-          throw new ReferenceError(`${column.column} column for FK not found`);
-        }
-        let nullable = column.nullable;
-        column = Object.assign({}, fkCol, {
-          name: name,
-          nullable: nullable,
-        });
-        delete column.values; // In case FK is to a Code type column and it hasn't been processed yet
+        */
+        throw new SyntaxError("Detected nested object within column object");
+        break;
+    }
+    luaCode += `${key} = ${value},`;
+  });
+
+  luaCode += '}';
+
+  return luaCode;
+}
+
+function processTable(table, database, databases, keys, options) {
+  let type = keys.get(database);
+  let validateColumn = table.columns.find(column => column.name == "validate");
+  if (validateColumn) {
+    throw schemaError(`Table "${table.name}" has a column named "validate", which would replace its validate function`, databases, database, table, validateColumn, "name");
+  }
+
+  let luaCode = `
+          Schema.${type}.${table.name} = {}
+          Schema.${type}.${table.name}._objectType = "table"
+          Schema.${type}.${table.name}._objectName = "${table.name}"
+      `;
+  let checksLua = "";
+  table.columns.forEach(col => {
+    // Work on a copy, as FK columns processed later still need the original, e.g. the values of a Code column
+    let column = Object.assign({}, col);
+    let name = column.name;
+    let codes = column.type == "code" ? column.values.map(v => v.code) : null;
+    if (column.type == "FK") {
+      let target = SchemaValidator.resolveFKTarget(column, database, databases);
+      if (target.error) {
+        throw new ReferenceError(`${column.column} column for FK not found`);
       }
-      // column.type may have changed due to FK, so need to recheck
-      if (column.type == "integer") {
-        if (column.minValue == undefined) {
-          if (column.autoIncrement) {
-            column.minValue = 1;
-          } else if (column.unsigned) {
-            column.minValue = 0;
-          } else {
-            switch (column.size) {
-              case "TINYINT":
-                column.minValue = -128;
-                break;
-
-              case "SMALLINT":
-                column.minValue = -32768;
-                break;
-
-              case "MEDIUMINT":
-                column.minValue = -8388608;
-                break;
-
-              case "INT":
-                column.minValue = -2147483648;
-                break;
-
-              case "BIGINT":
-                // OVERRIDE: -99999999999999 is Lua's largest integer-representable negative number on x64
-                column.minValue = -99999999999999;
-                break;
-
-              default:
-                throw new SyntaxError("Unrecognised integer type: " + column.size);
-            }
-          }
-        }
-        if (column.maxValue == undefined) {
-          switch (column.size) {
-            case "TINYINT":
-              column.maxValue = column.unsigned ? 255 : 127;
-              break;
-
-            case "SMALLINT":
-              column.maxValue = column.unsigned ? 65535 : 32767;
-              break;
-
-            case "MEDIUMINT":
-              column.maxValue = column.unsigned ? 16777215 : 8388607;
-              break;
-
-            case "INT":
-              column.maxValue = column.unsigned ? 4294967295 : 2147483647;
-              break;
-
-            case "BIGINT":
-              // OVERRIDE: 99999999999999 is Lua's largest integer-representable number on x64
-              // column.maxValue = column.unsigned ? 18446744073709551615 : 9223372036854775807;
-              column.maxValue = column.unsigned ? 99999999999999 : 99999999999999;
-              break;
-
-            default:
-              throw new SyntaxError("Unrecognised integer type: " + column.size);
-          }
-        }
-      } else if (column.type == "serial") {
-        column.minValue = 1;
-        switch (column.size) {
-          case "TINYINT":
-            column.maxValue = 255;
-            break;
-
-          case "SMALLINT":
-            column.maxValue = 65535;
-            break;
-
-          case "MEDIUMINT":
-            column.maxValue = 16777215;
-            break;
-
-          case "INT":
-            column.maxValue = 4294967295;
-            break;
-
-          case "BIGINT":
-            // OVERRIDE: 99999999999999 is Lua's largest integer-representable number on x64
-            // column.maxValue = 18446744073709551615;
-            column.maxValue = 99999999999999;
-            break;
-
-          default:
-            throw new SyntaxError("Unrecognised serial size: " + column.size);
+      let fkCol = target.column;
+      codes = fkCol.type == "code" ? fkCol.values.map(v => v.code) : null;
+      let nullable = !!column.nullable;
+      column = Object.assign({}, fkCol, {
+        name: name,
+        nullable: nullable,
+      });
+      delete column.values; // In case FK is to a Code type column and it hasn't been processed yet
+    }
+    // column.type may have changed due to FK, so need to recheck
+    if (column.type == "integer") {
+      let range = SchemaValidator.integerRange(column.size, column.unsigned);
+      if (column.minValue == undefined) {
+        column.minValue = column.autoIncrement ? 1 : range.min;
+      }
+      if (column.maxValue == undefined) {
+        column.maxValue = range.max;
+      }
+    } else if (column.type == "serial") {
+      column.minValue = 1;
+      column.maxValue = SchemaValidator.integerRange(column.size, true).max;
+    } else if (column.type == "decimal") {
+      let range = SchemaValidator.decimalRange(column.precision, column.scale, column.unsigned);
+      ["minValue", "maxValue", "defaultValue"].forEach(field => {
+        if (column[field] != undefined) {
+          column[field] = Number(column[field]);
         }
+      });
+      if (column.minValue == undefined) {
+        column.minValue = Number(range.min);
       }
-      delete column.comments;
-      column._objectType = "column";
-
-      let codeValuesLua = "";
-      if (column.type == "code" && column.values) { // If this is actually a FK column referencing a Code column, then column.values does not exist
-        column.values.forEach(value => {
-          codeValuesLua += `
-                        Schema.${type}.${table.name}.${column.name}.${value.value} = ${value.code}
-                        Schema.${type}.${table.name}.${column.name}[${value.code}] = "${value.value}"
-                    `;
-        });
-        let validCodes = column.values.map(v => v.code).join(",");
-        codeValuesLua += `
-                    Schema.${type}.${table.name}.${column.name}.codes = Set:new({${validCodes}})
-                `;
-        delete column.values;
+      if (column.maxValue == undefined) {
+        column.maxValue = Number(range.max);
+      }
+    } else if (column.type == "float" && column.size == "FLOAT") {
+      if (column.minValue == undefined) {
+        column.minValue = -SchemaValidator.FLOAT_MAX.FLOAT;
       }
+      if (column.maxValue == undefined) {
+        column.maxValue = SchemaValidator.FLOAT_MAX.FLOAT;
+      }
+    }
+    delete column.comments;
+    column._objectType = "column";
+
+    // Serial values are generated by the database, so rows that haven't been inserted yet don't have one
+    checksLua += columnChecks(column, codes, options, column.nullable || col.type == "serial");
+
+    let codeValuesLua = "";
+    if (column.type == "code" && column.values) { // If this is actually a FK column referencing a Code column, then column.values does not exist
+      column.values.forEach(value => {
+        codeValuesLua += `
+                      Schema.${type}.${table.name}.${column.name}.${value.value} = ${value.code}
+                      Schema.${type}.${table.name}.${column.name}[${value.code}] = "${value.value}"
+                  `;
+      });
+      let validCodes = column.values.map(v => v.code).join(",");
+      codeValuesLua += `
+                  Schema.${type}.${table.name}.${column.name}.codes = Set:new({${validCodes}})
+              `;
+      delete column.values;
+    }
 
-      luaCode += `
-                Schema.${type}.${table.name}.${column.name} = ${objectToLua(column)}
-                Schema.${type}.${table.name}.${column.name}._parentTable = Schema.${type}.${table.name}
-                ${codeValuesLua}
-                setmetatable(Schema.${type}.${table.name}.${column.name}, FrozenTableMetatable)
-            `;
-    });
     luaCode += `
-            setmetatable(Schema.${type}.${table.name}, FrozenTableMetatable)
-        `;
+              Schema.${type}.${table.name}.${column.name} = ${objectToLua(column)}
+              Schema.${type}.${table.name}.${column.name}._parentTable = Schema.${type}.${table.name}
+              ${codeValuesLua}
+              setmetatable(Schema.${type}.${table.name}.${column.name}, FrozenTableMetatable)
+          `;
+  });
+  // Returns true, or false and a list of { column, rule, message } errors
+  luaCode += `
+          Schema.${type}.${table.name}.validate = function(row)
+              local errors = {}
+              local value
+              ${checksLua}
+              if #errors > 0 then
+                  return false, errors
+              end
+              return true
+          end
+          setmetatable(Schema.${type}.${table.name}, FrozenTableMetatable)
+      `;
+  return luaCode;
+}
+
+// Returns the files written by the CLI for a schema, named relative to the output directory. Passing a database, or a
+// database and table, instead returns just their part of the module without minifying it, to preview part of a schema.
+function build(databases, schemaName, options) {
+  options = options || {};
+  options = Object.assign({}, options, {
+    frozenModule: options.frozenModule || DEFAULT_FROZEN_MODULE,
+    setModule: options.setModule || DEFAULT_SET_MODULE,
+    keys: options.keys || {},
+    warn: options.warn || (message => console.warn(`Warning: ${message}`)),
+  });
+
+  let keys = databaseKeys(databases, options.keys);
+
+  if (options.database != undefined) {
+    let db = databases.find(db => db.name === options.database);
+    if (!db) {
+      throw new ReferenceError(`Database "${options.database}" does not exist`);
+    }
+    let tables = db.tables;
+    if (options.table != undefined) {
+      tables = tables.filter(table => table.name === options.table);
+      if (!tables.length) {
+        throw new ReferenceError(`Table "${options.database}.${options.table}" does not exist`);
+      }
+    }
+    return [{
+      name: options.table != undefined ? `${db.name}.${options.table}.lua` : `${db.name}.lua`,
+      content: tables.map(table => processTable(table, db, databases, keys, options)).join(""),
+    }];
   }
 
-  if (coreDatabase) {
-    coreDatabase.tables.forEach(table => {
-      writeTable('core', table);
-    });
+  let luaCode = `
+        local FrozenTableMetatable = require(${luaString(options.frozenModule)})
+        local Set = require(${luaString(options.setModule)})
+        ${options.regexpModule ? `local Regexp = require(${luaString(options.regexpModule)})` : ""}
+
+        local function isInteger(value)
+            return type(value) == "number" and value == math.floor(value)
+        end
 
+        local function strlen(value)
+            return utf8 and utf8.len(value) or #value
+        end
+
+        local Schema = {}
+    `;
+  databases.forEach(db => {
+    let key = keys.get(db);
     luaCode += `
-            setmetatable(Schema.core, FrozenTableMetatable)
+            Schema.${key} = {}
+            Schema.${key}._objectType = "database"
         `;
-  }
-  if (instDatabase) {
-    instDatabase.tables.forEach(table => {
-      writeTable('inst', table);
+    // Instance databases are created with a prefix, so their name isn't known
+    if (db.type == "fixed") {
+      luaCode += `
+            Schema.${key}._objectName = "${db.name}"
+        `;
+    }
+  });
+  databases.forEach(db => {
+    db.tables.forEach(table => {
+      luaCode += processTable(table, db, databases, keys, options);
     });
 
     luaCode += `
-            setmetatable(Schema.inst, FrozenTableMetatable)
+            setmetatable(Schema.${keys.get(db)}, FrozenTableMetatable)
         `;
-  }
+  });
 
   luaCode += `
         setmetatable(Schema, FrozenTableMetatable)
@@ -257,7 +392,46 @@ fs.readdirSync(IN_DIR).filter(f => /\.json$/.test(f)).map(f => f.slice(0, -5)).f
         return Schema
     `;
 
-  luaCode = luamin.minify(luaCode);
+  return [{ name: `${schemaName}.lua`, content: luamin.minify(luaCode) }];
+}
+
+module.exports = {
+  build: build,
+};
+
+if (require.main === module) {
+  const ARGS = minimist(process.argv.slice(2));
+
+  const IN_DIR = ARGS.in;
+  const OUT_DIR = ARGS.out;
+  const OPTIONS = {
+    frozenModule: ARGS["frozen-module"],
+    setModule: ARGS["set-module"],
+    regexpModule: ARGS["regexp-module"],
+    // --key <database>=<key> (repeatable) overrides a database's default key
+    keys: [].concat(ARGS.key || []).reduce((keys, arg) => {
+      let match = /^([^=]+)=([a-zA-Z_][a-zA-Z0-9_]*)$/.exec(arg);
+      if (!match) {
+        throw new SyntaxError(`Invalid --key "${arg}"`);
+      }
+      keys[match[1]] = match[2];
+      return keys;
+    }, {}),
+  };
+
+  fs.readdirSync(IN_DIR).filter(f => /\.json$/.test(f)).map(f => f.slice(0, -5)).forEach(f => {
+    let databases = JSON.parse(fs.readFileSync(`${IN_DIR}/${f}.json`, 'utf8'));
+
+    let validation = SchemaValidator.validate(databases);
+    validation.warnings.forEach(warning => {
+      console.warn(`Warning: ${f}: ${warning.path}: ${warning.message}`);
+    });
+    if (validation.errors.length) {
+      throw new Error(`Schema "${f}" is invalid:\n${SchemaValidator.formatProblems(validation.errors)}`);
+    }
 
-  fs.outputFileSync(`${OUT_DIR}/${f}.lua`, luaCode);
-});
+    build(databases, f, OPTIONS).forEach(file => {
+      fs.outputFileSync(`${OUT_DIR}/${file.name}`, file.content);
+    });
+  });
+}
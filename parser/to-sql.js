@@ -3,425 +3,1318 @@
 const fs = require('fs-extra');
 const sprintf = require('sprintf-js').sprintf;
 const minimist = require("minimist");
+const path = require('path');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+const SchemaValidator = require('./validator');
+
+const DIALECTS = {
+    mysql: require('./dialects/mysql'),
+    postgres: require('./dialects/postgres'),
+    sqlite: require('./dialects/sqlite'),
+};
 
-const ARGS = minimist(process.argv.slice(2));
+// This is both a CLI and a library used by the server, so options are set by each call to build() or migrate(). Generation
+// is synchronous, so they apply for the whole call without being passed through every function.
+let DIALECT = DIALECTS.mysql;
+// Older MySQL versions parse but ignore CHECK constraints, so they can be turned off with --no-checks
+let EMIT_CHECKS = true;
+let warn = message => console.warn(message);
+
+function useOptions(options) {
+    let dialect = options.dialect || "mysql";
+    if (!Object.prototype.hasOwnProperty.call(DIALECTS, dialect)) {
+        throw new TypeError(`Unknown SQL dialect "${dialect}"`);
+    }
+    DIALECT = DIALECTS[dialect];
+    EMIT_CHECKS = options.checks !== false;
+    warn = options.warn || (message => console.warn(message));
+}
 
-const IN_DIR = ARGS.in;
-const OUT_DIR = ARGS.out;
+// Integer-like columns may be stored in a larger native type, with min and max set to the range that needs a CHECK
+function columnStorageType(col) {
+    switch (col.type) {
+        case "integer":
+            return DIALECT.integerType(col.size, col.unsigned);
 
-const INTEGER_SIZES = new Set(["TINYINT", "SMALLINT", "MEDIUMINT", "INT", "BIGINT"]);
+        case "timestamp":
+            return DIALECT.integerType("BIGINT", true);
 
-const INTEGER_MIN = {
-    TINYINT: -128,
-    SMALLINT: -32768,
-    MEDIUMINT: -8388608,
-    INT: -2147483648,
-    BIGINT: -99999999999999,
-};
+        case "boolean":
+            return DIALECT.booleanType();
 
-const INTEGER_MAX_UNSIGNED = {
-    TINYINT: 255,
-    SMALLINT: 65535,
-    MEDIUMINT: 16777215,
-    INT: 4294967295,
-    BIGINT: 99999999999999,
-};
+        case "code":
+            return DIALECT.integerType("TINYINT", true);
 
-const INTEGER_MAX_SIGNED = {
-    TINYINT: 127,
-    SMALLINT: 32767,
-    MEDIUMINT: 8388607,
-    INT: 2147483647,
-    BIGINT: 99999999999999,
-};
+        case "decimal":
+            return DIALECT.decimalType(col.precision, col.scale, col.unsigned);
 
-function processIntegerColumn(col) {
-    let size = col.size;
-    if (!INTEGER_SIZES.has(size)) {
-        throw new TypeError(`Integer column has invalid size "${size}"`);
+        default:
+            return null;
     }
+}
 
-    let isUnsigned = col.unsigned;
-    let absMin = isUnsigned ? 0 : INTEGER_MIN[size];
-    let absMax = isUnsigned ? INTEGER_MAX_UNSIGNED[size] : INTEGER_MAX_SIGNED[size];
+// The type a column is created with, without its nullability or default
+function columnSqlType(col, database, databases) {
+    switch (col.type) {
+        case "FK":
+            let targetCol = resolveFKTarget(col, database, databases).column;
+            // FK columns have their target's type, but not its auto-increment
+            return targetCol.type == "serial" ? DIALECT.integerType(targetCol.size, true).sql : columnSqlType(targetCol, null, databases);
 
-    let minimum = col.minValue;
-    if (minimum != undefined) {
-        if (minimum < absMin) {
-            throw new RangeError(`Integer column has out-of-range minimum value "${minimum}"`);
-        }
-    }
+        case "integer":
+        case "timestamp":
+        case "boolean":
+        case "code":
+        case "decimal":
+            return columnStorageType(col).sql;
 
-    let maximum = col.maxValue;
-    if (maximum != undefined) {
-        if (maximum > absMax) {
-            throw new RangeError(`Integer column has out-of-range maximum value "${maximum}"`);
-        }
-    }
+        case "serial":
+            return DIALECT.serialType(col.size).replace(" NOT NULL", "");
 
-    let defaultValue = col.defaultValue;
-    if (defaultValue != undefined) {
-        if (!Number.isSafeInteger(defaultValue)) {
-            throw new TypeError(`Integer column has non-integer default value "${defaultValue}"`);
-        }
-        if (defaultValue < absMin || defaultValue > absMax) {
-            throw new RangeError(`Integer column has out-of-range default value "${defaultValue}"`);
-        }
+        case "string":
+            return DIALECT.stringType(col.maxLength).sql;
+
+        case "binary":
+            return DIALECT.binaryType(col.minSize == undefined ? 0 : col.minSize, col.maxSize).sql;
+
+        case "float":
+            return DIALECT.floatType(col.size).sql;
+
+        case "text":
+            return DIALECT.textType(col.size).sql;
+
+        case "blob":
+            return DIALECT.blobType(col.size).sql;
+
+        case "date":
+            return DIALECT.dateType().sql;
+
+        case "datetime":
+            return DIALECT.datetimeType(col.precision).sql;
+
+        case "json":
+            return DIALECT.jsonType().sql;
+
+        case "uuid":
+            return DIALECT.uuidType().sql;
     }
+}
+
+// Columns are checked by the schema validator before any SQL is generated, so these only need to produce SQL
 
+function processIntegerColumn(col) {
+    let defaultValue = col.defaultValue;
     let nullable = col.nullable;
 
-    return sprintf("%s %s %s %s",
-        size,
-        isUnsigned ? "UNSIGNED" : "",
+    return sprintf("%s %s %s",
+        columnSqlType(col),
         nullable ? "NULL" : "NOT NULL",
         defaultValue != undefined ? ("DEFAULT " + defaultValue) : ""
     );
 }
 
 function processSerialColumn(col) {
-    let size = col.size;
-    if (!INTEGER_SIZES.has(size)) {
-        throw new TypeError(`Serial column has invalid size "${size}"`);
-    }
-
-    return sprintf("%s UNSIGNED NOT NULL AUTO_INCREMENT",
-        size
-    );
+    return DIALECT.serialType(col.size);
 }
 
 function processTimestampColumn(col) {
-    let isUnsigned = col.unsigned;
     let defaultValue = col.defaultValue;
 
-    if (defaultValue != undefined) {
-        if (!isUnsigned) {
-            throw new Error(`Default values for signed timestamps are not allowed`);
-        }
-        if (defaultValue !== 0) {
-            throw new RangeError(`Timestamp column has non-zero default value "${defaultValue}"`);
-        }
-    }
-
-    return sprintf("BIGINT UNSIGNED NOT NULL %s",
+    return sprintf("%s NOT NULL %s",
+        columnSqlType(col),
         defaultValue != undefined ? ("DEFAULT " + defaultValue) : ""
     );
 }
 
 function processStringColumn(col) {
-    let minimumLength = col.minLength;
-    let maximumLength = col.maxLength;
-
-    if (!Number.isSafeInteger(maximumLength)) {
-        throw new TypeError(`String column has non-integer maximum length "${maximumLength}"`);
-    }
-
-    if (minimumLength != undefined) {
-        if (!Number.isSafeInteger(minimumLength)) {
-            throw new TypeError(`String column has non-integer minimum length "${minimumLength}"`);
-        }
+    let defaultValue = col.defaultValue;
+    let nullable = col.nullable;
 
-        if (minimumLength < 1 || minimumLength > maximumLength) {
-            throw new RangeError(`String column has out-of-range minimum length`);
-        }
-    }
+    return sprintf("%s %s %s",
+        columnSqlType(col),
+        nullable ? "NULL" : "NOT NULL",
+        defaultValue != undefined ? "DEFAULT ''" : ""
+    );
+}
 
+function processBinaryColumn(col) {
     let defaultValue = col.defaultValue;
-
     if (defaultValue != undefined) {
-        if (defaultValue !== "''" && defaultValue !== '""') {
-            throw new Error(`String column has non-empty literal string default value "${defaultValue}"`);
+        if (/^0x[0-9a-fA-F]+$/.test(defaultValue)) {
+            defaultValue = DIALECT.binaryLiteral(defaultValue.slice(2));
+        } else {
+            defaultValue = DIALECT.binaryLiteral("");
         }
     }
 
     let nullable = col.nullable;
 
-    return sprintf("VARCHAR(%d) %s %s",
-        maximumLength,
+    return sprintf("%s %s %s",
+        columnSqlType(col),
         nullable ? "NULL" : "NOT NULL",
-        defaultValue != undefined ? "DEFAULT ''" : ""
+        defaultValue != undefined ? ("DEFAULT " + defaultValue) : ""
     );
 }
 
-function processBinaryColumn(col) {
-    let minimumSize = col.minSize;
-    let maximumSize = col.maxSize;
+function processBooleanColumn(col) {
+    let defaultValue = col.defaultValue;
+    let nullable = col.nullable;
 
-    if (!Number.isSafeInteger(maximumSize)) {
-        throw new TypeError(`Binary column has non-integer maximum length "${maximumSize}"`);
-    }
+    return sprintf("%s %s %s",
+        columnSqlType(col),
+        nullable ? "NULL" : "NOT NULL",
+        defaultValue != undefined ? ("DEFAULT " + DIALECT.booleanLiteral(defaultValue)) : ""
+    );
+}
 
-    if (minimumSize != undefined) {
-        if (!Number.isSafeInteger(minimumSize)) {
-            throw new TypeError(`Binary column has non-integer minimum length "${minimumSize}"`);
-        }
+function processCodeColumn(col) {
+    let defaultValue = col.defaultValue;
+    let nullable = col.nullable;
 
-        if (minimumSize < 1 || minimumSize > maximumSize) {
-            throw new RangeError(`Binary column has out-of-range minimum length`);
-        }
-    } else {
-        minimumSize = 0;
-    }
+    return sprintf("%s %s %s",
+        columnSqlType(col),
+        nullable ? "NULL" : "NOT NULL",
+        defaultValue != undefined ? ("DEFAULT " + defaultValue) : ""
+    );
+}
 
+function processDecimalColumn(col) {
     let defaultValue = col.defaultValue;
-    if (defaultValue != undefined) {
-        if (!/^0x[0-9a-fA-F]+$/.test(defaultValue)) {
-            if (defaultValue == "''" || defaultValue == '""') {
-                defaultValue = "''";
-            } else {
-                throw new Error(`Invalid default value for binary column "${defaultValue}"`);
-            }
-        }
-    }
+    let nullable = col.nullable;
 
+    return sprintf("%s %s %s",
+        columnSqlType(col),
+        nullable ? "NULL" : "NOT NULL",
+        defaultValue != undefined ? ("DEFAULT " + defaultValue) : ""
+    );
+}
+
+function processFloatColumn(col) {
+    let defaultValue = col.defaultValue;
     let nullable = col.nullable;
 
-    return sprintf("%sBINARY(%d) %s %s",
-        minimumSize === maximumSize ? "" : "VAR",
-        maximumSize,
+    return sprintf("%s %s %s",
+        columnSqlType(col),
         nullable ? "NULL" : "NOT NULL",
         defaultValue != undefined ? ("DEFAULT " + defaultValue) : ""
     );
 }
 
-function processBooleanColumn(col) {
+// MySQL doesn't allow literal defaults for TEXT, BLOB and JSON columns, so they have none
+function processTextColumn(col) {
+    return sprintf("%s %s",
+        columnSqlType(col),
+        col.nullable ? "NULL" : "NOT NULL"
+    );
+}
+
+function processBlobColumn(col) {
+    return sprintf("%s %s",
+        columnSqlType(col),
+        col.nullable ? "NULL" : "NOT NULL"
+    );
+}
+
+function processDateColumn(col) {
+    let defaultValue = col.defaultValue;
+    let nullable = col.nullable;
+
+    return sprintf("%s %s %s",
+        columnSqlType(col),
+        nullable ? "NULL" : "NOT NULL",
+        defaultValue != undefined ? ("DEFAULT " + DIALECT.quoteString(defaultValue)) : ""
+    );
+}
+
+function processDatetimeColumn(col) {
     let defaultValue = col.defaultValue;
     if (defaultValue != undefined) {
-        if (defaultValue !== 0 && defaultValue !== 1) {
-            throw new TypeError(`Boolean column has invalid default value "${defaultValue}"`);
-        }
+        defaultValue = defaultValue == "CURRENT_TIMESTAMP" ? DIALECT.currentDatetime(col.precision) : DIALECT.quoteString(defaultValue);
     }
 
     let nullable = col.nullable;
 
-    return sprintf("TINYINT(1) UNSIGNED %s %s",
+    return sprintf("%s %s %s",
+        columnSqlType(col),
         nullable ? "NULL" : "NOT NULL",
         defaultValue != undefined ? ("DEFAULT " + defaultValue) : ""
     );
 }
 
-function processCodeColumn(col) {
-    if (!col.values.length) {
-        throw new Error(`Code column has no values`);
+function processJsonColumn(col) {
+    return sprintf("%s %s",
+        columnSqlType(col),
+        col.nullable ? "NULL" : "NOT NULL"
+    );
+}
+
+function processUuidColumn(col) {
+    return sprintf("%s %s",
+        columnSqlType(col),
+        col.nullable ? "NULL" : "NOT NULL"
+    );
+}
+
+function resolveFKTarget(col, database, databases) {
+    let target = SchemaValidator.resolveFKTarget(col, database, databases);
+    if (target.error) {
+        throw new ReferenceError(target.error);
     }
+    return target;
+}
 
-    let valueCodes = new Set();
-    let valueNames = new Set();
-    let highestCode = 0;
-    col.values.forEach(val => {
-        let code = val.code;
-        let name = val.value;
+function processFKColumn(col, database, databases) {
+    let targetCol = resolveFKTarget(col, database, databases).column;
 
-        if (!Number.isSafeInteger(code) || code < 0) {
-            throw new TypeError(`Code column has invalid value code "${code}"`);
-        }
+    // FK columns have their target's type, but not its default value or auto-increment
+    let colSqlDesc;
 
-        if (!/^[A-Z0-9_]+$/.test(name)) {
-            throw new Error(`Code column has invalid value name "${name}"`);
-        }
+    switch (targetCol.type) {
+        case "serial":
+            colSqlDesc = `${DIALECT.integerType(targetCol.size, true).sql} NOT NULL`;
+            break;
 
-        if (valueCodes.has(code)) {
-            throw new ReferenceError(`Code column contains duplicate value code "${code}"`);
-        }
+        default:
+            colSqlDesc = processColumn(Object.assign({}, targetCol, { defaultValue: undefined }), null, database, databases).trim();
+            break;
+    }
 
-        if (valueNames.has(name)) {
-            throw new ReferenceError(`Code column contains duplicate value name "${name}"`);
-        }
+    if (col.nullable) {
+        colSqlDesc = colSqlDesc.replace('NOT NULL', 'NULL');
+    }
 
-        valueCodes.add(code);
-        valueNames.add(name);
+    if (col.defaultValue != undefined) {
+        colSqlDesc += ` DEFAULT ${col.defaultValue}`;
+    }
 
-        if (code > highestCode) {
-            highestCode = code;
-        }
-    });
+    return colSqlDesc;
+}
+
+function processColumn(col, table, database, databases) {
+    switch (col.type) {
+        case "FK":
+            return processFKColumn(col, database, databases);
+
+        case "integer":
+            return processIntegerColumn(col);
+
+        case "serial":
+            return processSerialColumn(col);
 
-    if (highestCode > 255) {
-        throw new RangeError(`Code column contains too large value code "${highestCode}"`);
+        case "timestamp":
+            return processTimestampColumn(col);
+
+        case "string":
+            return processStringColumn(col);
+
+        case "binary":
+            return processBinaryColumn(col);
+
+        case "boolean":
+            return processBooleanColumn(col);
+
+        case "code":
+            return processCodeColumn(col);
+
+        case "decimal":
+            return processDecimalColumn(col);
+
+        case "float":
+            return processFloatColumn(col);
+
+        case "text":
+            return processTextColumn(col);
+
+        case "blob":
+            return processBlobColumn(col);
+
+        case "date":
+            return processDateColumn(col);
+
+        case "datetime":
+            return processDatetimeColumn(col);
+
+        case "json":
+            return processJsonColumn(col);
+
+        case "uuid":
+            return processUuidColumn(col);
     }
+}
 
-    let defaultValue = col.defaultValue;
-    if (defaultValue != undefined) {
-        if (!valueCodes.has(defaultValue)) {
-            throw new ReferenceError(`Code column has unknown default value "${defaultValue}"`);
-        }
+// Comments are kept to one line, which is how most clients show them
+function commentText(comments) {
+    return (comments || "").replace(/\s+/g, " ").trim();
+}
+
+// Comments aren't part of processColumn(), as FK columns are described by their target column but shouldn't get its comment
+function columnDefinition(col, table, database, databases) {
+    let sql = processColumn(col, table, database, databases);
+    let comment = DIALECT.inlineComments ? commentText(col.comments) : "";
+    let commentSql = comment ? DIALECT.columnComment(comment) : null;
+    return commentSql ? `${sql.trim()} ${commentSql}` : sql;
+}
+
+// Dialects without inline comments set them with statements after the table is created
+function commentStatements(table, database) {
+    if (DIALECT.inlineComments) {
+        return [];
     }
+    let tableName = DIALECT.createTableName(databaseSqlName(database), tableSqlName(table));
+    let comment = commentText(table.comments);
+    return (comment ? [DIALECT.tableComment(comment, tableName)] : [])
+        .concat(table.columns.filter(col => commentText(col.comments)).map(col => DIALECT.columnComment(commentText(col.comments), tableName, col.name)))
+        .filter(sql => sql != null);
+}
 
-    let nullable = col.nullable;
+// Instance tables and databases are created dynamically at runtime, so their names are emitted as templates
+const INSTANCE_PREFIX = "{{prefix}}";
 
-    return sprintf("TINYINT UNSIGNED %s %s",
-        nullable ? "NULL" : "NOT NULL",
-        defaultValue != undefined ? ("DEFAULT " + defaultValue) : ""
-    );
+function tableSqlName(table) {
+    return table.type == "instance" ? `${INSTANCE_PREFIX}_${table.name}` : table.name;
+}
+
+function databaseSqlName(database) {
+    return database.type == "instance" ? `${INSTANCE_PREFIX}_${database.name}` : database.name;
+}
+
+// Unquoted, for messages and comparisons
+function qualifiedTableName(table, database) {
+    return `${databaseSqlName(database)}.${tableSqlName(table)}`;
 }
 
-function processTable(table, database, databases) {
-    let name = table.name;
-    let type = table.type;
-    let indexes = table.indexes;
+function ident(name) {
+    return DIALECT.quoteIdentifier(name);
+}
 
-    if (!/^[a-z_]+$/.test(name)) {
-        throw new Error(`Invalid table name "${name}"`);
+// Generated index and constraint names can be longer than the dialect allows, so long ones are cut short and end with a hash
+// of the whole name instead, which keeps them distinct and the same each time they're generated
+function limitName(name) {
+    let max = DIALECT.maxIdentifierLength;
+    if (!max || Buffer.byteLength(name) <= max) {
+        return name;
     }
-    if (type != "fixed") {
-        throw new TypeError(`Non-fixed tables are not supported yet`);
+    let hash = crypto.createHash("sha1").update(name).digest("hex").slice(0, 8);
+    let start = name;
+    while (Buffer.byteLength(`${start}_${hash}`) > max) {
+        start = start.slice(0, -1);
     }
+    return `${start}_${hash}`;
+}
 
-    let tableSqlCols = [];
+function qualifiedTableSql(table, database) {
+    return `${ident(databaseSqlName(database))}.${ident(tableSqlName(table))}`;
+}
 
-    let tableSqlIdxes = [];
+// SPATIAL indexes are rejected by the validator until there are geometry columns
+const INDEX_SQL_TYPES = new Set(["primary", "unique", "index", "fulltext"]);
 
-    indexes.forEach(idx => {
-            switch (idx.type) {
-                case "primary":
-                    tableSqlIdxes.push(`PRIMARY KEY (${idx.columns.join(',')})`);
-                    break;
+// Unnamed indexes and foreign keys are given deterministic names so that migrations can refer to them later
+function indexName(idx) {
+    if (!INDEX_SQL_TYPES.has(idx.type)) {
+        throw new Error(`Unrecognised index type "${idx.type}"`);
+    }
+    return SchemaValidator.indexName(idx);
+}
 
-                case "unique":
-                    tableSqlIdxes.push(`UNIQUE (${idx.columns.join(',')})`);
-                    break;
+function processIndexes(table, database) {
+    return table.indexes.map(idx => {
+        let name = idx.type == "primary" ? indexName(idx) : limitName(DIALECT.indexName(tableSqlName(table), indexName(idx)));
+        let constraint = idx.type == "primary" || idx.type == "unique";
 
-                case "index":
-                    tableSqlIdxes.push(`INDEX (${idx.columns.join(',')})`);
-                    break;
+        let columns = SchemaValidator.indexColumns(idx);
+        if (!DIALECT.prefixIndexes && idx.type != "fulltext" && columns.some(c => c.length != undefined)) {
+            warn(`Index ${database.name}.${table.name}.${indexName(idx)} has prefix lengths, which are not supported by the ${DIALECT.name} dialect; indexing whole columns${constraint ? ", which makes the constraint stricter" : ""}`);
+        }
+        let columnSqls = columns.map(c => DIALECT.indexColumn(c, constraint));
 
-                default:
-                    throw new Error(`Unrecognised index type "${idx.type}"`);
+        let sql;
+        let inline = true;
 
-            }
+        switch (idx.type) {
+            case "primary":
+                sql = `PRIMARY KEY (${columnSqls.join(',')})`;
+                break;
+
+            case "unique":
+                sql = DIALECT.uniqueIndex(name, columnSqls);
+                break;
+
+            case "index":
+                sql = DIALECT.index(name, columnSqls, databaseSqlName(database), tableSqlName(table));
+                inline = DIALECT.inlineIndexes;
+                break;
+
+            case "fulltext":
+                sql = DIALECT.fulltextIndex(name, columns.map(c => c.name), databaseSqlName(database), tableSqlName(table));
+                inline = DIALECT.inlineIndexes;
+                break;
         }
-    );
+
+        return {
+            name: name,
+            type: idx.type,
+            sql: sql,
+            inline: inline,
+        };
+    }).filter(idx => {
+        if (idx.sql == null) {
+            warn(`${idx.type.toUpperCase()} index ${database.name}.${table.name}.${idx.name} is not supported by the ${DIALECT.name} dialect; omitting it`);
+            return false;
+        }
+        return true;
+    });
+}
+
+function isDefaultAction(action) {
+    return action == undefined || action == "NO ACTION";
+}
+
+// Foreign keys only get a constraint when they have a delete or update action; the columns of a group have the same actions
+function hasForeignKeyConstraint(group) {
+    let col = group.columns[0];
+    return !isDefaultAction(col.ondelete) || !isDefaultAction(col.onupdate);
+}
+
+// Composite foreign keys are identified by their group name and the others by their column name
+function foreignKeyId(table, database, group) {
+    return `${database.name}.${table.name}.${group.name}`;
+}
+
+function foreignKeyConstraints(table) {
+    return SchemaValidator.foreignKeyGroups(table).filter(hasForeignKeyConstraint);
+}
+
+function processForeignKeys(table, database, databases) {
+    let foreignKeys = [];
+
+    foreignKeyConstraints(table).forEach(group => {
+        let col = group.columns[0];
+        let targets = group.columns.map(c => resolveFKTarget(c, database, databases));
+        let target = targets[0];
+
+        // FK constraint names are unique per database, so they need the (possibly templated) table name
+        let name = limitName(`fk_${tableSqlName(table)}_${group.name}`);
+
+        let targetName = DIALECT.referenceTableName(databaseSqlName(target.database), tableSqlName(target.table), target.database == database);
+        if (targetName == null) {
+            warn(`Foreign key ${foreignKeyId(table, database, group)} references another database, which is not supported by the ${DIALECT.name} dialect; omitting it`);
+            return;
+        }
+
+        let sql = `CONSTRAINT ${ident(name)} FOREIGN KEY (${group.columns.map(c => ident(c.name)).join(',')}) REFERENCES ${targetName} (${targets.map(t => ident(t.column.name)).join(',')}) ON DELETE ${col.ondelete || "NO ACTION"}`;
+        if (!isDefaultAction(col.onupdate)) {
+            sql += ` ON UPDATE ${col.onupdate}`;
+        }
+
+        foreignKeys.push({
+            id: foreignKeyId(table, database, group),
+            name: name,
+            columns: group.columns.map(c => c.name),
+            sql: sql,
+        });
+    });
+
+    return foreignKeys;
+}
+
+function rangeCondition(expr, minimum, maximum) {
+    if (minimum != undefined && maximum != undefined) {
+        return `${expr} BETWEEN ${minimum} AND ${maximum}`;
+    }
+    if (minimum != undefined) {
+        return `${expr} >= ${minimum}`;
+    }
+    return `${expr} <= ${maximum}`;
+}
+
+function processChecks(table) {
+    let checks = [];
 
     table.columns.forEach(col => {
-        let colName = col.name;
-        if (!/^[a-z][a-zA-Z0-9]+$/.test(colName)) {
-            throw new Error(`Invalid table column name "${colName}" in table "${name}"`);
+        let colName = ident(col.name);
+        let addCheck = (rule, condition) => {
+            // CHECK constraint names are unique per database, so they need the (possibly templated) table name
+            let name = limitName(`chk_${tableSqlName(table)}_${col.name}_${rule}`);
+            checks.push({
+                name: name,
+                column: col.name,
+                sql: `CONSTRAINT ${ident(name)} CHECK (${condition})`,
+            });
+        };
+
+        // Ranges the dialect's native type cannot enforce by itself are always checked, regardless of --no-checks
+        let storageType = columnStorageType(col);
+        if (col.type == "string") {
+            storageType = DIALECT.stringType(col.maxLength);
+            if (storageType.maxLength != undefined) {
+                addCheck("type", `${DIALECT.charLength(colName)} <= ${storageType.maxLength}`);
+            }
+        } else if (col.type == "binary") {
+            storageType = DIALECT.binaryType(col.minSize, col.maxSize);
+            if (storageType.maxSize != undefined) {
+                addCheck("type", rangeCondition(DIALECT.byteLength(colName), storageType.minSize, storageType.maxSize));
+            }
+        } else if (col.type == "json") {
+            let condition = DIALECT.jsonValid(colName);
+            if (condition != null) {
+                addCheck("type", condition);
+            }
+        } else if (col.type == "uuid") {
+            storageType = DIALECT.uuidType();
+            if (storageType.length != undefined) {
+                addCheck("type", DIALECT.regexp(colName, DIALECT.quoteString(SchemaValidator.UUID_PATTERN.source), false) || `${DIALECT.charLength(colName)} = ${storageType.length}`);
+            }
+        } else if (storageType && (storageType.min != undefined || storageType.max != undefined)) {
+            addCheck("type", rangeCondition(colName, storageType.min, storageType.max));
         }
 
-        let colSqlDesc;
+        if (!EMIT_CHECKS) {
+            return;
+        }
 
         switch (col.type) {
-            case "FK":
-                let targetParts = col.column.split('.');
-
-                let targetCol = targetParts.pop();
-                if (!targetCol) {
-                    throw new ReferenceError(`No column provided for FK reference column`);
+            case "integer":
+            case "decimal":
+            case "float":
+                let minimum = col.minValue;
+                let maximum = col.maxValue;
+                if (minimum != undefined || maximum != undefined) {
+                    addCheck("range", rangeCondition(colName, minimum, maximum));
                 }
+                break;
 
-                let targetTable = targetParts.pop();
-                if (!targetTable) {
-                    throw new ReferenceError(`No table provided for FK reference column`);
+            case "date":
+            case "datetime":
+                if (col.minValue != undefined || col.maxValue != undefined) {
+                    addCheck("range", rangeCondition(colName,
+                        col.minValue != undefined ? DIALECT.quoteString(col.minValue) : undefined,
+                        col.maxValue != undefined ? DIALECT.quoteString(col.maxValue) : undefined
+                    ));
                 }
+                break;
 
-                let targetDatabase = targetParts.pop();
-                if (targetDatabase == undefined) {
-                    targetDatabase = database;
-                } else {
-                    targetDatabase = databases.find(db => db.name === targetDatabase);
-                    if (!targetDatabase) {
-                        throw new ReferenceError(`Non-existent database provided for FK reference column`);
-                    }
+            case "string":
+            case "text":
+                if (col.minLength != undefined) {
+                    addCheck("length", `${DIALECT.charLength(colName)} >= ${col.minLength}`);
                 }
-
-                targetTable = targetDatabase.tables.find(t => t.name === targetTable);
-                if (!targetTable) {
-                    throw new ReferenceError(`Non-existent table provided for FK reference column`);
+                // VARCHAR columns are already limited by their declared length
+                if (col.type == "text" && col.maxLength != undefined) {
+                    addCheck("maxlength", `${DIALECT.charLength(colName)} <= ${col.maxLength}`);
                 }
+                [["match", col.regexpMatch, false], ["notmatch", col.regexpNotMatch, true]].forEach(([rule, pattern, negate]) => {
+                    if (pattern == undefined) {
+                        return;
+                    }
+                    let condition = DIALECT.regexp(colName, DIALECT.quoteString(pattern), negate);
+                    if (condition == null) {
+                        warn(`Regular expression rule on ${table.name}.${col.name} is not supported by the ${DIALECT.name} dialect; omitting it`);
+                        return;
+                    }
+                    addCheck(rule, condition);
+                });
+                break;
 
-                targetCol = targetTable.columns.find(c => c.name === targetCol);
-                if (!targetCol) {
-                    throw new ReferenceError(`Non-existent column provided for FK reference column`);
+            case "binary":
+                if (col.minSize != undefined && col.minSize !== col.maxSize) {
+                    addCheck("size", `${DIALECT.byteLength(colName)} >= ${col.minSize}`);
                 }
+                break;
 
-                if (targetCol.nullable) {
-                    throw new TypeError(`FK reference column is nullable, not suitable for FK reference`);
+            case "blob":
+                if (col.minSize != undefined || col.maxSize != undefined) {
+                    addCheck("size", rangeCondition(DIALECT.byteLength(colName), col.minSize, col.maxSize));
                 }
+                break;
+        }
+    });
 
-                switch (targetCol.type) {
-                    case "integer":
-                        colSqlDesc = processIntegerColumn(targetCol).replace("AUTO_INCREMENT", "").replace(/DEFAULT .*$/, "");
-                        break;
+    return checks;
+}
 
-                    case "serial":
-                        colSqlDesc = processSerialColumn(targetCol).replace("AUTO_INCREMENT", "").replace(/DEFAULT .*$/, "");
-                        break;
+function processTable(table, database, databases, withoutForeignKeys, deferredForeignKeys) {
+    let tableSqlCols = table.columns.map(col => `${ident(col.name)} ${columnDefinition(col, table, database, databases)}`);
 
-                    default:
-                        throw new TypeError(`FK reference column has type not suitable as FK reference`);
-                }
+    let indexes = processIndexes(table, database);
 
-                if (col.ondelete != undefined && col.ondelete != "NO ACTION") {
-                    tableSqlIdxes.push(`FOREIGN KEY (${colName}) REFERENCES ${targetDatabase == database ? "" : (targetDatabase.name + ".")}${targetTable.name} (${targetCol.name}) ON DELETE ${col.ondelete}`);
-                }
+    let tableSqlIdxes = indexes.filter(idx => idx.inline).map(idx => idx.sql).concat(processChecks(table).map(chk => chk.sql));
 
-                if (col.nullable) {
-                    colSqlDesc = colSqlDesc.replace('NOT NULL', 'NULL');
-                }
+    if (!withoutForeignKeys) {
+        tableSqlIdxes = tableSqlIdxes.concat(processForeignKeys(table, database, databases)
+            .filter(fk => !deferredForeignKeys || !deferredForeignKeys.has(fk.id))
+            .map(fk => fk.sql));
+    }
 
-                if (col.defaultValue != undefined) {
-                    if (!Number.isSafeInteger(col.defaultValue)) {
-                        throw new TypeError(`Invalid FK default value`);
-                    }
-                    colSqlDesc += ` DEFAULT ${col.defaultValue}`;
+    let comment = DIALECT.inlineComments ? commentText(table.comments) : "";
+    let commentSql = comment ? DIALECT.tableComment(comment) : null;
+
+    return `
+        CREATE TABLE ${DIALECT.createTableName(databaseSqlName(database), tableSqlName(table))} (
+            ${tableSqlCols.concat(tableSqlIdxes).join(',\n')}
+        )${commentSql ? ` ${commentSql}` : ""};
+    ` + indexes.filter(idx => !idx.inline).map(idx => `${idx.sql}\n`).join('') + commentStatements(table, database).map(sql => `${sql}\n`).join('');
+}
+
+// Orders databases, and the tables within each, so that FK targets are created before the tables referencing them.
+// FKs that would form a cycle are deferred: their tables are created without them, and they are added with ALTER TABLE
+// after the later of the two databases. Instance tables are created in a separate script after every fixed table, so
+// their FKs to fixed tables never affect the order.
+function orderSchema(databases) {
+    let edges = new Map();
+    databases.forEach(db => db.tables.forEach(table => {
+        edges.set(table, foreignKeyConstraints(table).map(group => {
+            let target = resolveFKTarget(group.columns[0], db, databases);
+            return {
+                id: foreignKeyId(table, db, group),
+                source: { database: db, table: table },
+                target: target,
+            };
+        }).filter(edge => SchemaValidator.isInstance(table, db) == SchemaValidator.isInstance(edge.target.table, edge.target.database)));
+    }));
+
+    let deferred = [];
+    let deferEdge = edge => {
+        if (DIALECT.deferredForeignKeys) {
+            deferred.push(edge);
+        }
+    };
+
+    let databaseStates = new Map();
+    let orderedDatabases = [];
+    let visitDatabase = db => {
+        databaseStates.set(db, "visiting");
+        db.tables.forEach(table => edges.get(table).forEach(edge => {
+            let targetDb = edge.target.database;
+            if (targetDb === db) {
+                return;
+            }
+            let state = databaseStates.get(targetDb);
+            if (state == "visiting") {
+                deferEdge(edge);
+            } else if (state == undefined) {
+                visitDatabase(targetDb);
+            }
+        }));
+        databaseStates.set(db, "done");
+        orderedDatabases.push(db);
+    };
+    databases.forEach(db => {
+        if (!databaseStates.has(db)) {
+            visitDatabase(db);
+        }
+    });
+
+    let ordered = orderedDatabases.map(db => {
+        let tableStates = new Map();
+        let orderedTables = [];
+        let visitTable = table => {
+            tableStates.set(table, "visiting");
+            edges.get(table).forEach(edge => {
+                let targetTable = edge.target.table;
+                // Tables can always reference themselves
+                if (edge.target.database !== db || targetTable === table) {
+                    return;
+                }
+                let state = tableStates.get(targetTable);
+                if (state == "visiting") {
+                    deferEdge(edge);
+                } else if (state == undefined) {
+                    visitTable(targetTable);
                 }
+            });
+            tableStates.set(table, "done");
+            orderedTables.push(table);
+        };
+        db.tables.forEach(table => {
+            if (!tableStates.has(table)) {
+                visitTable(table);
+            }
+        });
 
-                break;
+        return {
+            database: db,
+            tables: orderedTables,
+        };
+    });
 
-            case "integer":
-                colSqlDesc = processIntegerColumn(col);
-                break;
+    // A deferred FK can be added once both of its tables exist
+    deferred.forEach(edge => {
+        edge.after = orderedDatabases.indexOf(edge.target.database) > orderedDatabases.indexOf(edge.source.database) ? edge.target.database : edge.source.database;
+    });
 
-            case "serial":
-                colSqlDesc = processSerialColumn(col);
-                break;
+    return {
+        databases: ordered,
+        deferredForeignKeys: deferred,
+    };
+}
 
-            case "timestamp":
-                colSqlDesc = processTimestampColumn(col);
-                break;
+// Returns the SQL for everything that always exists, and a template for everything created per instance
+function processDatabase(db, databases, tables, deferredForeignKeys) {
+    let deferredIds = new Set(deferredForeignKeys.map(edge => edge.id));
 
-            case "string":
-                colSqlDesc = processStringColumn(col);
-                break;
+    let dbSql = `
+        ${DIALECT.createDatabase(databaseSqlName(db))}
+        ${DIALECT.useDatabase(databaseSqlName(db))}
+    `;
+    let instanceSql = "";
 
-            case "binary":
-                colSqlDesc = processBinaryColumn(col);
-                break;
+    if (db.type == "instance") {
+        tables.forEach(table => {
+            instanceSql += processTable(table, db, databases, false, deferredIds);
+        });
+        instanceSql = dbSql + instanceSql;
+        dbSql = "";
+    } else {
+        tables.forEach(table => {
+            if (table.type == "instance") {
+                instanceSql += processTable(table, db, databases, false, deferredIds);
+            } else {
+                dbSql += processTable(table, db, databases, false, deferredIds);
+            }
+        });
+
+        if (instanceSql) {
+            instanceSql = `
+                ${DIALECT.useDatabase(db.name)}
+            ` + instanceSql;
+        }
+    }
+
+    deferredForeignKeys.filter(edge => edge.after === db).forEach(edge => {
+        let source = edge.source;
+        let fk = processForeignKeys(source.table, source.database, databases).find(fk => fk.id == edge.id);
+        if (!fk) {
+            return;
+        }
+        let alterSql = `
+            ALTER TABLE ${DIALECT.referenceTableName(databaseSqlName(source.database), tableSqlName(source.table), false)} ADD ${fk.sql};
+        `;
+        if (SchemaValidator.isInstance(source.table, source.database)) {
+            instanceSql += alterSql;
+        } else {
+            dbSql += alterSql;
+        }
+    });
+
+    return {
+        sql: dbSql,
+        instanceSql: instanceSql,
+    };
+}
+
+// Throws if the schema has errors, as the SQL generated for it would be invalid
+function validateSchema(databases, schemaName) {
+    let result = SchemaValidator.validate(databases);
 
-            case "boolean":
-                colSqlDesc = processBooleanColumn(col);
+    result.warnings.forEach(warning => {
+        console.warn(`Warning: ${schemaName}: ${warning.path}: ${warning.message}`);
+    });
+
+    if (result.errors.length) {
+        throw new Error(`Schema "${schemaName}" is invalid:\n${SchemaValidator.formatProblems(result.errors)}`);
+    }
+}
+
+function normaliseSql(sql) {
+    return sql.replace(/\s+/g, " ").trim();
+}
+
+function parseRenames(renameArgs) {
+    // Each rename is "db.table=newTable" or "db.table.column=newColumn", using names from the old schema
+    let renames = {
+        tables: new Map(),
+        columns: new Map(),
+    };
+
+    [].concat(renameArgs || []).forEach(arg => {
+        let match = /^([^=]+)=([^=.]+)$/.exec(arg);
+        if (!match) {
+            throw new SyntaxError(`Invalid rename "${arg}"`);
+        }
+
+        let path = match[1];
+        let newName = match[2];
+
+        switch (path.split('.').length) {
+            case 2:
+                renames.tables.set(path, newName);
                 break;
 
-            case "code":
-                colSqlDesc = processCodeColumn(col);
+            case 3:
+                renames.columns.set(path, newName);
                 break;
 
             default:
-                throw new TypeError(`Unknown table column type "${col.type}" for column "${colName}" in table "${name}"`);
+                throw new SyntaxError(`Invalid rename path "${path}"`);
         }
-
-        tableSqlCols.push(`${colName} ${colSqlDesc}`);
     });
 
-    return `
-        CREATE TABLE ${name} (
-            ${tableSqlCols.concat(tableSqlIdxes).join(',\n')}
-        );
-    `;
+    return renames;
 }
 
-fs.readdirSync(IN_DIR).filter(f => /\.json$/.test(f)).map(f => f.slice(0, -5)).forEach(f => {
-    let databases = JSON.parse(fs.readFileSync(`${IN_DIR}/${f}.json`, 'utf8'));
+// Returns a reason if changing a column from oldCol to newCol can lose or reject existing data
+function getDestructiveColumnChange(oldCol, newCol) {
+    if (oldCol.type != newCol.type) {
+        return `type changed from ${oldCol.type} to ${newCol.type}`;
+    }
 
-    databases.forEach(db => {
-        let dbSql = `
-            CREATE DATABASE ${db.name} CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
-            USE ${db.name};
-        `;
-        db.tables.forEach(table => {
-            dbSql += processTable(table, db, databases);
+    if (oldCol.nullable && !newCol.nullable && newCol.type != "serial") {
+        return `no longer nullable`;
+    }
+
+    switch (newCol.type) {
+        case "integer":
+        case "serial":
+            if (SchemaValidator.INTEGER_SIZES.indexOf(newCol.size) < SchemaValidator.INTEGER_SIZES.indexOf(oldCol.size)) {
+                return `size shrunk from ${oldCol.size} to ${newCol.size}`;
+            }
+            if (newCol.type == "integer" && !!oldCol.unsigned != !!newCol.unsigned) {
+                return `signedness changed`;
+            }
+            break;
+
+        case "timestamp":
+            if (!!oldCol.unsigned != !!newCol.unsigned) {
+                return `signedness changed`;
+            }
+            break;
+
+        case "string":
+            if (newCol.maxLength < oldCol.maxLength) {
+                return `maximum length shrunk from ${oldCol.maxLength} to ${newCol.maxLength}`;
+            }
+            break;
+
+        case "binary":
+            if (newCol.maxSize < oldCol.maxSize) {
+                return `maximum size shrunk from ${oldCol.maxSize} to ${newCol.maxSize}`;
+            }
+            break;
+
+        case "decimal":
+            if (newCol.precision - newCol.scale < oldCol.precision - oldCol.scale) {
+                return `integer digits shrunk from ${oldCol.precision - oldCol.scale} to ${newCol.precision - newCol.scale}`;
+            }
+            if (newCol.scale < oldCol.scale) {
+                return `scale shrunk from ${oldCol.scale} to ${newCol.scale}`;
+            }
+            break;
+
+        case "float":
+            if (newCol.size == "FLOAT" && oldCol.size == "DOUBLE") {
+                return `size shrunk from DOUBLE to FLOAT`;
+            }
+            break;
+
+        case "text":
+        case "blob":
+            let sizes = Object.keys(newCol.type == "text" ? SchemaValidator.TEXT_SIZES : SchemaValidator.BLOB_SIZES);
+            if (sizes.indexOf(newCol.size) < sizes.indexOf(oldCol.size)) {
+                return `size shrunk from ${oldCol.size} to ${newCol.size}`;
+            }
+            break;
+
+        case "datetime":
+            if (newCol.precision < oldCol.precision) {
+                return `fractional seconds precision shrunk from ${oldCol.precision} to ${newCol.precision}`;
+            }
+            break;
+
+        case "code":
+            let newCodes = new Set(newCol.values.map(v => v.code));
+            let removed = oldCol.values.filter(v => !newCodes.has(v.code));
+            if (removed.length) {
+                return `code values removed: ${removed.map(v => `${v.value} = ${v.code}`).join(', ')}`;
+            }
+            break;
+    }
+
+    return null;
+}
+
+function processMigration(oldDatabases, newDatabases, renames, allowDestructive) {
+    // ALTER TABLE support differs too much between dialects, so migrations use MySQL syntax throughout
+    if (DIALECT.name != "mysql") {
+        throw new TypeError(`Migrations are not supported for the ${DIALECT.name} dialect`);
+    }
+
+    let phases = {
+        createDatabases: [],
+        dropForeignKeys: [],
+        dropChecks: [],
+        renameTables: [],
+        alterTables: [],
+        createTables: [],
+        addIndexes: [],
+        addForeignKeys: [],
+        addChecks: [],
+        dropTables: [],
+        dropDatabases: [],
+    };
+    let notes = [];
+    let destructive = [];
+
+    function addStatement(phase, sql, destructiveReason) {
+        if (destructiveReason) {
+            destructive.push(destructiveReason);
+            sql = `-- DESTRUCTIVE: ${destructiveReason}\n${sql}`;
+        }
+        phases[phase].push(sql);
+    }
+
+    function createTable(table, db) {
+        addStatement("createTables", `${DIALECT.useDatabase(databaseSqlName(db))}\n${normaliseSql(processTable(table, db, newDatabases, true))}`);
+        processForeignKeys(table, db, newDatabases).forEach(fk => {
+            addStatement("addForeignKeys", `ALTER TABLE ${qualifiedTableSql(table, db)} ADD ${fk.sql};`);
         });
-        fs.outputFileSync(`${OUT_DIR}/${f}.sql`, dbSql);
+    }
+
+    function migrateTable(oldTable, oldDb, newTable, newDb) {
+        let qualifiedName = qualifiedTableName(newTable, newDb);
+        let qualifiedSql = qualifiedTableSql(newTable, newDb);
+        let oldQualifiedSql = qualifiedTableSql(oldTable, oldDb);
+
+        let oldFKs = processForeignKeys(oldTable, oldDb, oldDatabases);
+        let newFKs = processForeignKeys(newTable, newDb, newDatabases);
+
+        let oldIdxes = processIndexes(oldTable, oldDb);
+        let newIdxes = processIndexes(newTable, newDb);
+
+        // Map each new column to the old column it came from, taking renames into account
+        let oldColumnsByNewName = new Map();
+        oldTable.columns.forEach(oldCol => {
+            let newName = renames.columns.get(`${oldDb.name}.${oldTable.name}.${oldCol.name}`) || oldCol.name;
+            if (newTable.columns.some(c => c.name === newName)) {
+                oldColumnsByNewName.set(newName, oldCol);
+            }
+        });
+
+        let changedColumns = new Set();
+
+        let indexAlterations = [];
+        let alterations = [];
+        let addAlteration = (sql, destructiveReason) => alterations.push({ sql, destructiveReason });
+
+        newTable.columns.forEach((newCol, pos) => {
+            let newDesc = normaliseSql(columnDefinition(newCol, newTable, newDb, newDatabases));
+            let oldCol = oldColumnsByNewName.get(newCol.name);
+
+            if (!oldCol) {
+                let position = pos ? `AFTER ${ident(newTable.columns[pos - 1].name)}` : "FIRST";
+                addAlteration(`ADD COLUMN ${ident(newCol.name)} ${newDesc} ${position}`);
+                return;
+            }
+
+            let oldDesc = normaliseSql(columnDefinition(oldCol, oldTable, oldDb, oldDatabases));
+            let destructiveReason = getDestructiveColumnChange(oldCol, newCol);
+            if (destructiveReason) {
+                destructiveReason = `${qualifiedName}.${newCol.name} ${destructiveReason}`;
+            }
+
+            if (oldCol.name != newCol.name) {
+                changedColumns.add(oldCol.name);
+                addAlteration(`CHANGE COLUMN ${ident(oldCol.name)} ${ident(newCol.name)} ${newDesc}`, destructiveReason);
+            } else if (oldDesc != newDesc) {
+                changedColumns.add(oldCol.name);
+                addAlteration(`MODIFY COLUMN ${ident(newCol.name)} ${newDesc}`, destructiveReason);
+            } else if (destructiveReason) {
+                // The DDL is unchanged but the meaning of the stored data is not, e.g. removed code values
+                destructive.push(destructiveReason);
+                notes.push(`DESTRUCTIVE: ${destructiveReason}`);
+            }
+
+            if (newCol.type == "code" && oldCol.type == "code") {
+                let oldValues = new Map(oldCol.values.map(v => [v.code, v.value]));
+                newCol.values.forEach(v => {
+                    if (!oldValues.has(v.code)) {
+                        notes.push(`Code value added to ${qualifiedName}.${newCol.name}: ${v.value} = ${v.code}`);
+                    } else if (oldValues.get(v.code) != v.value) {
+                        notes.push(`Code value renamed in ${qualifiedName}.${newCol.name}: ${oldValues.get(v.code)} is now ${v.value} = ${v.code}`);
+                    }
+                });
+            }
+        });
+
+        if (commentText(oldTable.comments) != commentText(newTable.comments)) {
+            addAlteration(DIALECT.tableComment(commentText(newTable.comments)));
+        }
+
+        let keptOldColumns = new Set(Array.from(oldColumnsByNewName.values()));
+        oldTable.columns.forEach(oldCol => {
+            if (!keptOldColumns.has(oldCol)) {
+                changedColumns.add(oldCol.name);
+                addAlteration(`DROP COLUMN ${ident(oldCol.name)}`, `column ${qualifiedName}.${oldCol.name} dropped`);
+            }
+        });
+
+        // Indexes are compared using new column names, so that renamed columns only rename the index instead of recreating it
+        let newNamesByOldName = new Map();
+        oldColumnsByNewName.forEach((oldCol, newName) => newNamesByOldName.set(oldCol.name, newName));
+
+        let newIdxSqls = new Set(newIdxes.map(idx => idx.sql));
+        let keptIdxSqls = new Set();
+
+        oldIdxes.forEach((idx, i) => {
+            let oldIdx = oldTable.indexes[i];
+            let renamed = processIndexes(Object.assign({}, newTable, {
+                indexes: [Object.assign({}, oldIdx, {
+                    columns: SchemaValidator.indexColumns(oldIdx).map(c => Object.assign({}, c, {
+                        name: newNamesByOldName.get(c.name) || c.name,
+                    })),
+                })],
+            }), newDb)[0];
+
+            if (!newIdxSqls.has(renamed.sql)) {
+                indexAlterations.push({ sql: idx.type == "primary" ? "DROP PRIMARY KEY" : `DROP INDEX ${ident(idx.name)}` });
+                return;
+            }
+
+            keptIdxSqls.add(renamed.sql);
+            if (renamed.name != idx.name) {
+                alterations.push({ sql: `RENAME INDEX ${ident(idx.name)} TO ${ident(renamed.name)}` });
+            }
+        });
+
+        newIdxes.forEach(idx => {
+            if (!keptIdxSqls.has(idx.sql)) {
+                addStatement("addIndexes", `ALTER TABLE ${qualifiedSql} ADD ${idx.sql};`);
+            }
+        });
+
+        let newFKSqls = new Set(newFKs.map(fk => fk.sql));
+        let oldFKSqls = new Set(oldFKs.map(fk => fk.sql));
+
+        oldFKs.forEach(fk => {
+            if (!newFKSqls.has(fk.sql) || fk.columns.some(c => changedColumns.has(c)) || qualifiedTableName(oldTable, oldDb) != qualifiedName) {
+                addStatement("dropForeignKeys", `ALTER TABLE ${oldQualifiedSql} DROP FOREIGN KEY ${ident(fk.name)};`);
+                oldFKSqls.delete(fk.sql);
+            }
+        });
+
+        newFKs.forEach(fk => {
+            if (!oldFKSqls.has(fk.sql)) {
+                addStatement("addForeignKeys", `ALTER TABLE ${qualifiedSql} ADD ${fk.sql};`);
+            }
+        });
+
+        // Checks are compared by definition, and recreated for changed columns as existing data may not satisfy them yet
+        let oldChecks = processChecks(oldTable);
+        let newChecks = processChecks(newTable);
+
+        let newCheckSqls = new Set(newChecks.map(chk => chk.sql));
+        let keptCheckSqls = new Set();
+
+        oldChecks.forEach(chk => {
+            if (!newCheckSqls.has(chk.sql) || changedColumns.has(chk.column) || qualifiedTableName(oldTable, oldDb) != qualifiedName) {
+                addStatement("dropChecks", `ALTER TABLE ${oldQualifiedSql} DROP CHECK ${ident(chk.name)};`);
+            } else {
+                keptCheckSqls.add(chk.sql);
+            }
+        });
+
+        newChecks.forEach(chk => {
+            if (!keptCheckSqls.has(chk.sql)) {
+                addStatement("addChecks", `ALTER TABLE ${qualifiedSql} ADD ${chk.sql};`);
+            }
+        });
+
+        // Indexes are dropped first, as they may refer to columns that are about to be dropped or changed
+        indexAlterations.concat(alterations).forEach(alt => {
+            addStatement("alterTables", `ALTER TABLE ${qualifiedSql} ${alt.sql};`, alt.destructiveReason);
+        });
+    }
+
+    newDatabases.forEach(newDb => {
+        let oldDb = oldDatabases.find(db => db.name === newDb.name);
+
+        if (!oldDb) {
+            addStatement("createDatabases", DIALECT.createDatabase(databaseSqlName(newDb)));
+            newDb.tables.forEach(table => createTable(table, newDb));
+            return;
+        }
+
+        let matchedOldTables = new Set();
+
+        newDb.tables.forEach(newTable => {
+            let oldTable = oldDb.tables.find(t => (renames.tables.get(`${oldDb.name}.${t.name}`) || t.name) === newTable.name);
+
+            if (!oldTable) {
+                createTable(newTable, newDb);
+                return;
+            }
+
+            matchedOldTables.add(oldTable);
+
+            if (qualifiedTableName(oldTable, oldDb) != qualifiedTableName(newTable, newDb)) {
+                addStatement("renameTables", `RENAME TABLE ${qualifiedTableSql(oldTable, oldDb)} TO ${qualifiedTableSql(newTable, newDb)};`);
+            }
+
+            migrateTable(oldTable, oldDb, newTable, newDb);
+        });
+
+        oldDb.tables.forEach(oldTable => {
+            if (matchedOldTables.has(oldTable)) {
+                return;
+            }
+
+            processForeignKeys(oldTable, oldDb, oldDatabases).forEach(fk => {
+                addStatement("dropForeignKeys", `ALTER TABLE ${qualifiedTableSql(oldTable, oldDb)} DROP FOREIGN KEY ${ident(fk.name)};`);
+            });
+            addStatement("dropTables", `DROP TABLE ${qualifiedTableSql(oldTable, oldDb)};`, `table ${qualifiedTableName(oldTable, oldDb)} dropped`);
+        });
+    });
+
+    oldDatabases.forEach(oldDb => {
+        if (!newDatabases.some(db => db.name === oldDb.name)) {
+            oldDb.tables.forEach(oldTable => {
+                processForeignKeys(oldTable, oldDb, oldDatabases).forEach(fk => {
+                    addStatement("dropForeignKeys", `ALTER TABLE ${qualifiedTableSql(oldTable, oldDb)} DROP FOREIGN KEY ${ident(fk.name)};`);
+                });
+            });
+            addStatement("dropDatabases", `DROP DATABASE ${ident(databaseSqlName(oldDb))};`, `database ${databaseSqlName(oldDb)} dropped`);
+        }
     });
-});
 
+    if (destructive.length && !allowDestructive) {
+        throw new Error(`Migration contains destructive changes (use --allow-destructive to generate anyway):\n${destructive.map(d => `    ${d}`).join('\n')}`);
+    }
+
+    let migrationSql = notes.map(note => `-- ${note}\n`).join('');
+
+    Object.keys(phases).forEach(phase => {
+        phases[phase].forEach(sql => {
+            migrationSql += `${sql}\n`;
+        });
+    });
+
+    return migrationSql;
+}
+
+function readSchemaAtRevision(file, revision) {
+    let dir = path.dirname(path.resolve(file));
+    return childProcess.execFileSync("git", ["show", `${revision}:./${path.basename(file)}`], {
+        cwd: dir,
+        encoding: "utf8",
+    });
+}
+
+// Returns the files written by the CLI for a schema, named relative to the output directory. Passing a database, or a
+// database and table, instead returns just the SQL creating them, to preview part of a schema.
+function build(databases, schemaName, options) {
+    options = options || {};
+    useOptions(options);
+
+    if (options.database != undefined) {
+        let db = databases.find(db => db.name === options.database);
+        if (!db) {
+            throw new ReferenceError(`Database "${options.database}" does not exist`);
+        }
+        if (options.table != undefined) {
+            let table = db.tables.find(table => table.name === options.table);
+            if (!table) {
+                throw new ReferenceError(`Table "${options.database}.${options.table}" does not exist`);
+            }
+            return [{ name: `${db.name}.${table.name}.sql`, content: processTable(table, db, databases) }];
+        }
+        let ordering = orderSchema(databases);
+        let entry = ordering.databases.find(entry => entry.database === db);
+        let output = processDatabase(db, databases, entry.tables, ordering.deferredForeignKeys);
+        return [
+            { name: `${db.name}.sql`, content: output.sql },
+            { name: `${db.name}.instance.sql`, content: output.instanceSql },
+        ].filter(file => file.content);
+    }
+
+    let ordering = orderSchema(databases);
+    let outputs = ordering.databases.map(entry => processDatabase(entry.database, databases, entry.tables, ordering.deferredForeignKeys));
+
+    if (options.perDatabase) {
+        // Files are numbered in the order they need to be run, with every instance template after the fixed databases
+        let files = [];
+        ordering.databases.forEach((entry, i) => {
+            if (outputs[i].sql) {
+                files.push({ name: `${entry.database.name}.sql`, content: outputs[i].sql });
+            }
+        });
+        ordering.databases.forEach((entry, i) => {
+            if (outputs[i].instanceSql) {
+                files.push({ name: `${entry.database.name}.instance.sql`, content: outputs[i].instanceSql });
+            }
+        });
+        return files.map((file, i) => ({
+            name: `${schemaName}/${String(i + 1).padStart(2, "0")}-${file.name}`,
+            content: file.content,
+        }));
+    }
+
+    let sql = outputs.map(output => output.sql).join("");
+    let instanceSql = outputs.map(output => output.instanceSql).join("");
+    let files = [{ name: `${schemaName}.sql`, content: sql }];
+    if (instanceSql) {
+        files.push({ name: `${schemaName}.instance.sql`, content: instanceSql });
+    }
+    return files;
+}
+
+function migrate(oldDatabases, newDatabases, options) {
+    options = options || {};
+    useOptions(options);
+    return processMigration(oldDatabases, newDatabases, parseRenames(options.renames), options.allowDestructive);
+}
+
+// Returns the SQL type a column is created with, e.g. to document it
+function columnType(col, database, databases, options) {
+    useOptions(options || {});
+    return columnSqlType(col, database, databases);
+}
+
+module.exports = {
+    DIALECTS: Object.keys(DIALECTS),
+    build: build,
+    migrate: migrate,
+    columnType: columnType,
+};
+
+if (require.main === module) {
+    const ARGS = minimist(process.argv.slice(2));
+
+    const IN_DIR = ARGS.in;
+    const OUT_DIR = ARGS.out;
+    const OPTIONS = {
+        dialect: ARGS.dialect,
+        checks: ARGS.checks,
+        // Writes <out>/<schema>/<nn>-<database>.sql files instead of one combined <out>/<schema>.sql
+        perDatabase: !!ARGS["per-database"],
+        renames: ARGS.rename,
+        allowDestructive: ARGS["allow-destructive"],
+    };
+
+    if (ARGS.from != undefined || ARGS.rev != undefined) {
+        let oldJSON = ARGS.rev != undefined ? readSchemaAtRevision(ARGS.to, ARGS.rev) : fs.readFileSync(ARGS.from, 'utf8');
+        let newJSON = fs.readFileSync(ARGS.to, 'utf8');
+
+        let oldDatabases = JSON.parse(oldJSON);
+        let newDatabases = JSON.parse(newJSON);
+        validateSchema(oldDatabases, ARGS.rev != undefined ? `${ARGS.to}@${ARGS.rev}` : ARGS.from);
+        validateSchema(newDatabases, ARGS.to);
+
+        let migrationSql = migrate(oldDatabases, newDatabases, OPTIONS);
+
+        if (OUT_DIR == undefined) {
+            process.stdout.write(migrationSql);
+        } else {
+            fs.outputFileSync(OUT_DIR, migrationSql);
+        }
+    } else {
+        fs.readdirSync(IN_DIR).filter(f => /\.json$/.test(f)).map(f => f.slice(0, -5)).forEach(f => {
+            let databases = JSON.parse(fs.readFileSync(`${IN_DIR}/${f}.json`, 'utf8'));
+            validateSchema(databases, f);
+
+            build(databases, f, OPTIONS).forEach(file => {
+                fs.outputFileSync(`${OUT_DIR}/${file.name}`, file.content);
+            });
+        });
+    }
+}
@@ -0,0 +1,398 @@
+"use strict";
+
+const fs = require('fs-extra');
+const minimist = require("minimist");
+const SchemaValidator = require('./validator');
+
+// This is both a CLI and a library used by the server. Each schema becomes a directory with one module per database and
+// an index re-exporting them:
+//   <out>/<schema>/<database>.ts
+//   <out>/<schema>/index.ts
+
+function pascalCase(name) {
+    let pascal = name.split(/[^a-zA-Z0-9]+/).filter(p => p).map(p => p[0].toUpperCase() + p.slice(1)).join('');
+    return /^[0-9]/.test(pascal) ? `_${pascal}` : pascal;
+}
+
+function isIdentifier(name) {
+    return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name);
+}
+
+function propertyName(name) {
+    return isIdentifier(name) ? name : JSON.stringify(name);
+}
+
+function propertyAccess(obj, name) {
+    return isIdentifier(name) ? `${obj}.${name}` : `${obj}[${JSON.stringify(name)}]`;
+}
+
+function moduleAlias(database) {
+    return `${pascalCase(database.name)}Database`;
+}
+
+function interfaceName(table) {
+    return pascalCase(table.name);
+}
+
+function enumName(table, col) {
+    return `${pascalCase(table.name)}${pascalCase(col.name)}`;
+}
+
+function indent(code) {
+    return code.replace(/^(?=.)/gm, "    ");
+}
+
+function docComment(text, indent) {
+    if (!text) {
+        return "";
+    }
+    return `${indent}/** ${text.replace(/\*\//g, "* /").replace(/\n/g, `\n${indent} * `)} */\n`;
+}
+
+// Errors caused by part of a valid schema are located like validation problems, so the app can show them next to the field
+function schemaError(message, databases, database, table, column, field) {
+    let err = new SyntaxError(message);
+    let location = { database: databases.indexOf(database) };
+    if (table) {
+        location.table = database.tables.indexOf(table);
+    }
+    if (column) {
+        location.column = table.columns.indexOf(column);
+    }
+    if (field) {
+        location.field = field;
+    }
+    err.location = location;
+    err.path = [database, table, column].filter(obj => obj).map(obj => obj.name).concat(field || []).join('.');
+    return err;
+}
+
+// Prefixes a type or value name with its module's import alias when it's declared in another database
+function qualify(name, database, fromDatabase) {
+    return database === fromDatabase ? name : `${moduleAlias(database)}.${name}`;
+}
+
+function resolveFKTarget(col, database, databases) {
+    let target = SchemaValidator.resolveFKTarget(col, database, databases);
+    if (target.error) {
+        throw new ReferenceError(target.error);
+    }
+    return target;
+}
+
+function columnType(col, table, database, databases) {
+    switch (col.type) {
+        case "FK":
+            let target = resolveFKTarget(col, database, databases);
+            return `${qualify(interfaceName(target.table), target.database, database)}[${JSON.stringify(target.column.name)}]`;
+
+        case "integer":
+        case "serial":
+        case "timestamp":
+        case "float":
+            return "number";
+
+        // Decimals are strings so that they aren't rounded, as most MySQL and PostgreSQL drivers return them
+        case "string":
+        case "text":
+        case "decimal":
+        case "date":
+        case "datetime":
+        case "uuid":
+            return "string";
+
+        case "binary":
+        case "blob":
+            return "Buffer";
+
+        case "json":
+            return "unknown";
+
+        case "boolean":
+            return "boolean";
+
+        case "code":
+            return enumName(table, col);
+
+        default:
+            throw new TypeError(`Unknown column type "${col.type}"`);
+    }
+}
+
+// Like to-lua.js, an FK column takes on its target's rules but keeps its own nullability
+function effectiveColumn(col, database, databases) {
+    if (col.type != "FK") {
+        return {
+            column: col,
+        };
+    }
+
+    let target = resolveFKTarget(col, database, databases);
+    let column = Object.assign({}, target.column, {
+        name: col.name,
+        nullable: col.nullable,
+    });
+    return {
+        column: column,
+        enumRef: column.type == "code" ? qualify(enumName(target.table, target.column), target.database, database) : undefined,
+    };
+}
+
+function columnChecks(col, table, database, databases) {
+    let effective = effectiveColumn(col, database, databases);
+    let column = effective.column;
+    let value = propertyAccess("row", col.name);
+    let checks = [];
+
+    let check = (condition, message) => {
+        checks.push(`if (${condition}) {\n    problems.push(${JSON.stringify(`${col.name} ${message}`)});\n}`);
+    };
+
+    switch (column.type) {
+        case "integer":
+        case "serial":
+            let range = SchemaValidator.integerRange(column.size, column.type == "serial" || column.unsigned);
+            let min = column.type == "serial" || column.autoIncrement ? 1 : column.minValue != undefined ? column.minValue : range.min;
+            let max = column.type != "serial" && column.maxValue != undefined ? column.maxValue : range.max;
+            check(`!Number.isInteger(${value}) || ${value} < ${min} || ${value} > ${max}`, `must be an integer between ${min} and ${max}`);
+            break;
+
+        case "timestamp":
+            if (column.unsigned) {
+                check(`!Number.isInteger(${value}) || ${value} < 0`, "must be a non-negative integer");
+            } else {
+                check(`!Number.isInteger(${value})`, "must be an integer");
+            }
+            break;
+
+        case "string":
+        case "text":
+            check(`typeof ${value} != "string"`, "must be a string");
+            if (column.minLength != undefined) {
+                check(`typeof ${value} == "string" && ${value}.length < ${column.minLength}`, `must be at least ${column.minLength} characters long`);
+            }
+            if (column.maxLength != undefined) {
+                check(`typeof ${value} == "string" && ${value}.length > ${column.maxLength}`, `must be at most ${column.maxLength} characters long`);
+            }
+            if (column.regexpMatch != undefined) {
+                check(`typeof ${value} == "string" && !new RegExp(${JSON.stringify(column.regexpMatch)}).test(${value})`, `must match /${column.regexpMatch}/`);
+            }
+            if (column.regexpNotMatch != undefined) {
+                check(`typeof ${value} == "string" && new RegExp(${JSON.stringify(column.regexpNotMatch)}).test(${value})`, `must not match /${column.regexpNotMatch}/`);
+            }
+            break;
+
+        case "binary":
+        case "blob":
+            check(`!Buffer.isBuffer(${value})`, "must be a Buffer");
+            if (column.minSize != undefined) {
+                check(`Buffer.isBuffer(${value}) && ${value}.length < ${column.minSize}`, `must be at least ${column.minSize} bytes`);
+            }
+            if (column.maxSize != undefined) {
+                check(`Buffer.isBuffer(${value}) && ${value}.length > ${column.maxSize}`, `must be at most ${column.maxSize} bytes`);
+            }
+            break;
+
+        case "boolean":
+            check(`typeof ${value} != "boolean"`, "must be a boolean");
+            break;
+
+        case "decimal":
+            let integerDigits = Math.max(column.precision - column.scale, 1);
+            let pattern = `^${column.unsigned ? "" : "-?"}[0-9]{1,${integerDigits}}${column.scale ? `(\\.[0-9]{1,${column.scale}})?` : ""}$`;
+            check(`typeof ${value} != "string" || !/${pattern}/.test(${value})`, `must be a decimal string with at most ${integerDigits} integer and ${column.scale} fractional digits`);
+            if (column.minValue != undefined) {
+                check(`typeof ${value} == "string" && Number(${value}) < ${column.minValue}`, `must be at least ${column.minValue}`);
+            }
+            if (column.maxValue != undefined) {
+                check(`typeof ${value} == "string" && Number(${value}) > ${column.maxValue}`, `must be at most ${column.maxValue}`);
+            }
+            break;
+
+        case "float":
+            check(`typeof ${value} != "number" || !Number.isFinite(${value})`, "must be a finite number");
+            if (column.minValue != undefined) {
+                check(`typeof ${value} == "number" && ${value} < ${column.minValue}`, `must be at least ${column.minValue}`);
+            }
+            if (column.maxValue != undefined) {
+                check(`typeof ${value} == "number" && ${value} > ${column.maxValue}`, `must be at most ${column.maxValue}`);
+            }
+            break;
+
+        // ISO 8601 strings, which compare in the same order as the dates they represent
+        case "date":
+        case "datetime":
+            let datePattern = column.type == "date" ? "^[0-9]{4}-[0-9]{2}-[0-9]{2}$" : `^[0-9]{4}-[0-9]{2}-[0-9]{2} [0-9]{2}:[0-9]{2}:[0-9]{2}${column.precision ? `(\\.[0-9]{1,${column.precision}})?` : ""}$`;
+            check(`typeof ${value} != "string" || !/${datePattern}/.test(${value})`, `must be a ${column.type == "date" ? "YYYY-MM-DD" : "YYYY-MM-DD HH:MM:SS"} string`);
+            if (column.minValue != undefined) {
+                check(`typeof ${value} == "string" && ${value} < ${JSON.stringify(column.minValue)}`, `must not be before ${column.minValue}`);
+            }
+            if (column.maxValue != undefined) {
+                check(`typeof ${value} == "string" && ${value} > ${JSON.stringify(column.maxValue)}`, `must not be after ${column.maxValue}`);
+            }
+            break;
+
+        case "uuid":
+            check(`typeof ${value} != "string" || !/${SchemaValidator.UUID_PATTERN.source}/.test(${value})`, "must be a lowercase UUID string");
+            break;
+
+        case "code":
+            let enumRef = effective.enumRef || enumName(table, col);
+            check(`typeof ${value} != "number" || ${enumRef}[${value}] === undefined`, `must be one of the values of ${enumRef}`);
+            break;
+    }
+
+    let body = indent(checks.join("\n"));
+    if (column.nullable) {
+        return checks.length ? `if (${value} != null) {\n${body}\n}` : "";
+    }
+    return `if (${value} == null) {\n    problems.push(${JSON.stringify(`${col.name} must not be null`)});\n} else {\n${body}\n}`;
+}
+
+function processTable(table, database, databases) {
+    let ts = "";
+
+    table.columns.filter(col => col.type == "code").forEach(col => {
+        ts += docComment(col.comments, "");
+        ts += `export enum ${enumName(table, col)} {\n`;
+        ts += col.values.map(v => `    ${propertyName(v.value)} = ${v.code},\n`).join("");
+        ts += `}\n\n`;
+    });
+
+    ts += docComment(table.comments, "");
+    ts += `export interface ${interfaceName(table)} {\n`;
+    table.columns.forEach(col => {
+        ts += docComment(col.comments, "    ");
+        ts += `    ${propertyName(col.name)}: ${columnType(col, table, database, databases)}${col.nullable ? " | null" : ""};\n`;
+    });
+    ts += `}\n\n`;
+
+    let checks = table.columns.map(col => columnChecks(col, table, database, databases)).filter(c => c);
+    ts += `/** Returns a list of problems with the row, which is empty if the row is valid */\n`;
+    ts += `export function validate${interfaceName(table)}(row: ${interfaceName(table)}): string[] {\n`;
+    ts += `    const problems: string[] = [];\n`;
+    checks.forEach(c => {
+        ts += `${indent(c)}\n`;
+    });
+    ts += `    return problems;\n`;
+    ts += `}\n`;
+
+    return ts;
+}
+
+function databaseImports(database, databases) {
+    let imports = new Set();
+    database.tables.forEach(table => table.columns.filter(col => col.type == "FK").forEach(col => {
+        let target = resolveFKTarget(col, database, databases);
+        if (target.database !== database) {
+            imports.add(target.database);
+        }
+    }));
+    return imports;
+}
+
+// Names are made by joining table and column names, so different tables and columns can end up with the same one, e.g. the
+// enum for column "status" of table "order" and the interface for table "order_status" are both OrderStatus
+function checkNames(database, databases) {
+    let declared = new Map();
+    databaseImports(database, databases).forEach(db => declared.set(moduleAlias(db), `the import of database ${db.name}`));
+
+    let declare = (name, description, table, column) => {
+        if (declared.has(name)) {
+            throw schemaError(`The ${description} would be named ${name}, which is already the name of ${declared.get(name)}; rename one of them`, databases, database, table, column, "name");
+        }
+        declared.set(name, `the ${description}`);
+    };
+    database.tables.forEach(table => {
+        declare(interfaceName(table), `interface for ${table.name}`, table, null);
+        table.columns.filter(col => col.type == "code").forEach(col => {
+            declare(enumName(table, col), `enum for ${table.name}.${col.name}`, table, col);
+        });
+    });
+}
+
+function processDatabase(database, databases, schemaName) {
+    let imports = databaseImports(database, databases);
+
+    let ts = `// Generated from the "${schemaName}" schema by parser/to-ts.js, do not edit\n`;
+    if (database.comments) {
+        ts += `// ${database.comments.replace(/\n/g, "\n// ")}\n`;
+    }
+    ts += "\n";
+    Array.from(imports).forEach(db => {
+        ts += `import * as ${moduleAlias(db)} from "./${db.name}";\n`;
+    });
+    if (imports.size) {
+        ts += "\n";
+    }
+
+    ts += database.tables.map(table => processTable(table, database, databases)).join("\n");
+
+    return ts;
+}
+
+function indexModule(databases, schemaName) {
+    let index = `// Generated from the "${schemaName}" schema by parser/to-ts.js, do not edit\n\n`;
+    databases.forEach(db => {
+        index += `import * as ${moduleAlias(db)} from "./${db.name}";\n`;
+    });
+    index += `\nexport {\n${databases.map(db => `    ${moduleAlias(db)},\n`).join("")}};\n`;
+    return index;
+}
+
+// Returns the files written by the CLI for a schema, named relative to the output directory. Passing a database, or a
+// database and table, instead returns just their part of the module, to preview part of a schema.
+function build(databases, schemaName, options) {
+    options = options || {};
+    databases.forEach(db => checkNames(db, databases));
+
+    if (options.database != undefined) {
+        let db = databases.find(db => db.name === options.database);
+        if (!db) {
+            throw new ReferenceError(`Database "${options.database}" does not exist`);
+        }
+        if (options.table != undefined) {
+            let table = db.tables.find(table => table.name === options.table);
+            if (!table) {
+                throw new ReferenceError(`Table "${options.database}.${options.table}" does not exist`);
+            }
+            return [{ name: `${db.name}.${table.name}.ts`, content: processTable(table, db, databases) }];
+        }
+        return [{ name: `${db.name}.ts`, content: processDatabase(db, databases, schemaName) }];
+    }
+
+    return databases.map(db => ({
+        name: `${schemaName}/${db.name}.ts`,
+        content: processDatabase(db, databases, schemaName),
+    })).concat({
+        name: `${schemaName}/index.ts`,
+        content: indexModule(databases, schemaName),
+    });
+}
+
+module.exports = {
+    build: build,
+};
+
+if (require.main === module) {
+    const ARGS = minimist(process.argv.slice(2));
+
+    const IN_DIR = ARGS.in;
+    const OUT_DIR = ARGS.out;
+
+    fs.readdirSync(IN_DIR).filter(f => /\.json$/.test(f)).map(f => f.slice(0, -5)).forEach(f => {
+        let databases = JSON.parse(fs.readFileSync(`${IN_DIR}/${f}.json`, 'utf8'));
+
+        let validation = SchemaValidator.validate(databases);
+        validation.warnings.forEach(warning => {
+            console.warn(`Warning: ${f}: ${warning.path}: ${warning.message}`);
+        });
+        if (validation.errors.length) {
+            throw new Error(`Schema "${f}" is invalid:\n${SchemaValidator.formatProblems(validation.errors)}`);
+        }
+
+        build(databases, f).forEach(file => {
+            fs.outputFileSync(`${OUT_DIR}/${file.name}`, file.content);
+        });
+    });
+}
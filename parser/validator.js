@@ -0,0 +1,1124 @@
+// Shared by the server, the app and the generators, so this is loadable both as a CommonJS module and as a browser global
+(function (root, factory) {
+    if (typeof module == "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SchemaValidator = factory();
+    }
+})(this, function () {
+    "use strict";
+
+    const INTEGER_SIZES = ["TINYINT", "SMALLINT", "MEDIUMINT", "INT", "BIGINT"];
+
+    // BIGINT is limited to +/-99999999999999 as that's the largest integer Lua can represent exactly on x64
+    const INTEGER_MIN = {
+        TINYINT: -128,
+        SMALLINT: -32768,
+        MEDIUMINT: -8388608,
+        INT: -2147483648,
+        BIGINT: -99999999999999,
+    };
+
+    const INTEGER_MAX_UNSIGNED = {
+        TINYINT: 255,
+        SMALLINT: 65535,
+        MEDIUMINT: 16777215,
+        INT: 4294967295,
+        BIGINT: 99999999999999,
+    };
+
+    const INTEGER_MAX_SIGNED = {
+        TINYINT: 127,
+        SMALLINT: 32767,
+        MEDIUMINT: 8388607,
+        INT: 2147483647,
+        BIGINT: 99999999999999,
+    };
+
+    // Largest number of bytes each size can store
+    const TEXT_SIZES = {
+        TEXT: 65535,
+        MEDIUMTEXT: 16777215,
+        LONGTEXT: 4294967295,
+    };
+
+    const BLOB_SIZES = {
+        BLOB: 65535,
+        MEDIUMBLOB: 16777215,
+        LONGBLOB: 4294967295,
+    };
+
+    const FLOAT_MAX = {
+        FLOAT: 3.402823466e+38,
+        DOUBLE: Number.MAX_VALUE,
+    };
+
+    // MySQL's limits, which are also within what PostgreSQL's NUMERIC and TIMESTAMP allow
+    const DECIMAL_MAX_PRECISION = 65;
+    const DECIMAL_MAX_SCALE = 30;
+    const DATETIME_MAX_PRECISION = 6;
+    const DATE_MIN = "1000-01-01";
+    const DATE_MAX = "9999-12-31";
+
+    const DATE_PATTERN = /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/;
+    const DATETIME_PATTERN = /^([0-9]{4}-[0-9]{2}-[0-9]{2}) ([0-9]{2}):([0-9]{2}):([0-9]{2})(?:\.([0-9]{1,6}))?$/;
+    const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+    const INDEX_TYPES = new Set(["primary", "unique", "index", "fulltext", "spatial"]);
+
+    const INDEX_ORDERS = new Set(["ASC", "DESC"]);
+
+    // Only the first characters or bytes of these can be indexed, and text and blob columns must be
+    const PREFIX_INDEX_TYPES = new Set(["string", "binary", "text", "blob"]);
+    const PREFIX_REQUIRED_TYPES = new Set(["text", "blob"]);
+
+    const FULLTEXT_TYPES = new Set(["string", "text"]);
+
+    // MySQL's limit on identifier length
+    const MAX_NAME_LENGTH = 64;
+
+    const FK_ACTIONS = new Set(["CASCADE", "SET NULL", "NO ACTION"]);
+
+    // Types whose values can be compared exactly, so they can be referenced by FK columns
+    const FK_TARGET_TYPES = new Set(["integer", "serial", "string", "binary", "code", "uuid"]);
+
+    // FK defaults are entered as integers
+    const FK_DEFAULT_TARGET_TYPES = new Set(["integer", "serial", "code"]);
+
+    function integerRange(size, unsigned) {
+        return {
+            min: unsigned ? 0 : INTEGER_MIN[size],
+            max: unsigned ? INTEGER_MAX_UNSIGNED[size] : INTEGER_MAX_SIGNED[size],
+        };
+    }
+
+    // Decimals are kept as strings so that they aren't rounded; the range is returned as strings for the same reason
+    function decimalRange(precision, scale, unsigned) {
+        let max = "9".repeat(precision - scale) + (scale ? "." + "9".repeat(scale) : "");
+        if (precision == scale) {
+            max = "0" + max;
+        }
+        return {
+            min: unsigned ? "0" : "-" + max,
+            max: max,
+        };
+    }
+
+    function isValidDate(str) {
+        if (!DATE_PATTERN.test(str) || str < DATE_MIN || str > DATE_MAX) {
+            return false;
+        }
+        let parts = str.split("-").map(Number);
+        let date = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2]));
+        return date.getUTCMonth() == parts[1] - 1 && date.getUTCDate() == parts[2];
+    }
+
+    function isValidDatetime(str, precision) {
+        let match = DATETIME_PATTERN.exec(str);
+        return !!match && isValidDate(match[1]) && match[2] < 24 && match[3] < 60 && match[4] < 60 && (match[5] || "").length <= precision;
+    }
+
+    function isInstance(table, database) {
+        return database.type == "instance" || table.type == "instance";
+    }
+
+    // Returns the database, table and column a FK column refers to, or a description of what could not be found
+    function resolveFKTarget(col, database, databases) {
+        if (col.column != undefined && typeof col.column != "string") {
+            return { error: "FK column must be a string of the form [database.]table.column" };
+        }
+        let targetParts = (col.column || "").split('.');
+
+        let targetColName = targetParts.pop();
+        if (!targetColName) {
+            return { error: "No column provided for FK reference column" };
+        }
+
+        let targetTableName = targetParts.pop();
+        if (!targetTableName) {
+            return { error: "No table provided for FK reference column" };
+        }
+
+        let targetDatabase = database;
+        let targetDatabaseName = targetParts.pop();
+        if (targetDatabaseName != undefined) {
+            targetDatabase = databases.find(db => db.name === targetDatabaseName);
+            if (!targetDatabase) {
+                return { error: `Non-existent database "${targetDatabaseName}" provided for FK reference column` };
+            }
+        }
+
+        let targetTable = (targetDatabase.tables || []).find(t => t.name === targetTableName);
+        if (!targetTable) {
+            return { error: `Non-existent table "${targetTableName}" provided for FK reference column` };
+        }
+
+        let targetCol = (targetTable.columns || []).find(c => c.name === targetColName);
+        if (!targetCol) {
+            return { error: `Non-existent column "${targetColName}" provided for FK reference column` };
+        }
+
+        return {
+            database: targetDatabase,
+            table: targetTable,
+            column: targetCol,
+        };
+    }
+
+    // FK columns with the same group form one composite foreign key, the others each form their own
+    function foreignKeyGroups(table) {
+        let groups = [];
+        (table.columns || []).filter(col => col.type == "FK").forEach(col => {
+            let group = col.group != undefined ? groups.find(g => g.name === col.group) : undefined;
+            if (group) {
+                group.columns.push(col);
+            } else {
+                groups.push({
+                    name: col.group != undefined ? col.group : col.name,
+                    composite: col.group != undefined,
+                    columns: [col],
+                });
+            }
+        });
+        return groups;
+    }
+
+    // Index columns are stored as just their name unless they have an order or prefix length
+    function indexColumns(idx) {
+        return (idx.columns || []).map(c => typeof c == "string" ? {
+            name: c,
+            order: "ASC",
+            length: undefined,
+        } : {
+            name: c.name,
+            order: c.order || "ASC",
+            length: c.length,
+        });
+    }
+
+    function indexColumnNames(idx) {
+        return indexColumns(idx).map(c => c.name);
+    }
+
+    function defaultIndexName(idx) {
+        let names = indexColumnNames(idx).join('_');
+        switch (idx.type) {
+            case "primary":
+                return "PRIMARY";
+
+            case "unique":
+                return `uniq_${names}`;
+
+            case "fulltext":
+                return `ft_${names}`;
+
+            case "spatial":
+                return `sp_${names}`;
+
+            default:
+                return `idx_${names}`;
+        }
+    }
+
+    function indexName(idx) {
+        return idx.type != "primary" && idx.name ? idx.name : defaultIndexName(idx);
+    }
+
+    // Returns the primary key or unique index with exactly the given columns, in any order; prefixes don't count as they
+    // don't make the whole value unique
+    function findKeyIndex(table, columnNames) {
+        return (table.indexes || []).find(idx => {
+            let columns = indexColumns(idx);
+            return (idx.type == "primary" || idx.type == "unique") && columns.every(c => c.length == undefined) &&
+                columns.length == columnNames.length && columnNames.every(name => columns.some(c => c.name === name));
+        });
+    }
+
+    // Splits a FK reference into the names it refers to; references without a database are to the FK's own database
+    function parseFKReference(reference, database) {
+        let parts = (typeof reference == "string" ? reference : "").split('.');
+        return {
+            column: parts.pop(),
+            table: parts.pop(),
+            database: parts.length ? parts.pop() : database.name,
+        };
+    }
+
+    // Rewrites a FK reference after the table or column it refers to has been renamed, keeping any database prefix
+    function renameFKReference(reference, renamed, newName) {
+        let parts = reference.split('.');
+        parts[parts.length - (renamed == "table" ? 2 : 1)] = newName;
+        return parts.join('.');
+    }
+
+    // Lists the FK columns in any database that refer to a table, or to one of its columns if a column name is given,
+    // and the index columns using that column; locations are array positions like those of validation problems
+    function findUsages(databases, databaseName, tableName, columnName) {
+        let usages = [];
+
+        databases.forEach((database, databaseIdx) => {
+            (database.tables || []).forEach((table, tableIdx) => {
+                (table.columns || []).forEach((col, colIdx) => {
+                    if (col.type != "FK") {
+                        return;
+                    }
+                    let target = parseFKReference(col.column, database);
+                    if (target.database === databaseName && target.table === tableName && (columnName == undefined || target.column === columnName)) {
+                        usages.push({
+                            type: "fk",
+                            path: `${database.name}.${table.name}.${col.name}`,
+                            description: `FK column referencing ${col.column}`,
+                            location: {
+                                database: databaseIdx,
+                                table: tableIdx,
+                                column: colIdx,
+                            },
+                        });
+                    }
+                });
+
+                if (columnName == undefined || database.name !== databaseName || table.name !== tableName) {
+                    return;
+                }
+
+                (table.indexes || []).forEach((idx, idxIdx) => {
+                    indexColumns(idx).forEach((c, position) => {
+                        if (c.name === columnName) {
+                            usages.push({
+                                type: "index",
+                                path: `${database.name}.${table.name}.${indexName(idx)}`,
+                                description: `Column ${position + 1} of the ${idx.type == "primary" ? "primary key" : idx.type == "index" ? "index" : `${idx.type} index`}`,
+                                location: {
+                                    database: databaseIdx,
+                                    table: tableIdx,
+                                    index: idxIdx,
+                                    indexColumn: position,
+                                },
+                            });
+                        }
+                    });
+                });
+            });
+        });
+
+        return usages;
+    }
+
+    function validate(databases) {
+        let errors = [];
+        let warnings = [];
+
+        if (!Array.isArray(databases)) {
+            errors.push({
+                path: "",
+                location: {},
+                message: "Schema is not a list of databases",
+            });
+            return {
+                errors: errors,
+                warnings: warnings,
+            };
+        }
+
+        // Locations use array positions so that they still identify objects with missing or duplicate names
+        function report(list, names, location, message) {
+            list.push({
+                path: names.filter(n => n != null).join('.'),
+                location: location,
+                message: message,
+            });
+        }
+
+        function nameOf(obj, idx) {
+            return obj && typeof obj.name == "string" && obj.name ? obj.name : `#${idx}`;
+        }
+
+        function isObject(value) {
+            return !!value && typeof value == "object" && !Array.isArray(value);
+        }
+
+        // Everything else assumes that lists hold objects, e.g. when following FK references into other databases, so a
+        // schema with anything else in them is only checked for that
+        function validateStructure() {
+            // Calls `each` with every object in parent[field], and reports the list if it isn't one and each entry that isn't
+            // an object, using `key` for the entry's position in locations
+            let checkList = (parent, field, path, location, key, what, each) => {
+                let list = parent[field];
+                if (list == undefined) {
+                    return;
+                }
+                if (!Array.isArray(list)) {
+                    report(errors, path.concat(field), Object.assign({ field: field }, location), `${what} list is not a list`);
+                    return;
+                }
+                list.forEach((item, idx) => {
+                    let itemLocation = Object.assign({ [key]: idx }, location);
+                    if (isObject(item)) {
+                        each(item, idx, itemLocation);
+                    } else {
+                        report(errors, path.concat(key == "index" ? `indexes[${idx}]` : nameOf(item, idx)), itemLocation, `${what} is not an object`);
+                    }
+                });
+            };
+
+            databases.forEach((database, dbIdx) => {
+                let dbLocation = { database: dbIdx };
+                if (!isObject(database)) {
+                    report(errors, [nameOf(database, dbIdx)], dbLocation, `Database is not an object`);
+                    return;
+                }
+                let dbPath = [nameOf(database, dbIdx)];
+
+                checkList(database, "tables", dbPath, dbLocation, "table", "Table", (table, tableIdx, tableLocation) => {
+                    let tablePath = dbPath.concat(nameOf(table, tableIdx));
+
+                    checkList(table, "columns", tablePath, tableLocation, "column", "Table column", (col, colIdx, colLocation) => {
+                        if (col.type == "code" && col.values != undefined) {
+                            let colPath = tablePath.concat(nameOf(col, colIdx));
+                            let valuesLocation = Object.assign({ field: "values" }, colLocation);
+                            if (!Array.isArray(col.values)) {
+                                report(errors, colPath.concat("values"), valuesLocation, `Code column values list is not a list`);
+                            } else if (!col.values.every(isObject)) {
+                                report(errors, colPath.concat("values"), valuesLocation, `Code column has a value that is not an object`);
+                            }
+                        }
+                    });
+
+                    checkList(table, "indexes", tablePath, tableLocation, "index", "Index", (idx, idxIdx, idxLocation) => {
+                        let idxPath = tablePath.concat(`indexes[${idxIdx}]`);
+                        if (idx.columns != undefined && !Array.isArray(idx.columns)) {
+                            report(errors, idxPath, idxLocation, `Index columns list is not a list`);
+                        } else if ((idx.columns || []).some(c => typeof c != "string" && !isObject(c))) {
+                            report(errors, idxPath, idxLocation, `Index has a column that is neither a name nor an object`);
+                        }
+                    });
+                });
+            });
+        }
+
+        function validateIntegerColumn(col, error, warning) {
+            if (INTEGER_SIZES.indexOf(col.size) < 0) {
+                error("size", `Integer column has invalid size "${col.size}"`);
+                return;
+            }
+
+            let range = integerRange(col.size, col.unsigned);
+
+            let minimum = col.minValue;
+            if (minimum != undefined) {
+                if (!Number.isSafeInteger(minimum)) {
+                    error("minValue", `Integer column has non-integer minimum value "${minimum}"`);
+                } else if (minimum < range.min || minimum > range.max) {
+                    error("minValue", `Integer column has out-of-range minimum value "${minimum}"`);
+                }
+            }
+
+            let maximum = col.maxValue;
+            if (maximum != undefined) {
+                if (!Number.isSafeInteger(maximum)) {
+                    error("maxValue", `Integer column has non-integer maximum value "${maximum}"`);
+                } else if (maximum < range.min || maximum > range.max) {
+                    error("maxValue", `Integer column has out-of-range maximum value "${maximum}"`);
+                }
+            }
+
+            if (minimum != undefined && maximum != undefined && minimum > maximum) {
+                error("minValue", `Integer column has minimum value greater than maximum value`);
+            }
+
+            let defaultValue = col.defaultValue;
+            if (defaultValue != undefined) {
+                if (!Number.isSafeInteger(defaultValue)) {
+                    error("defaultValue", `Integer column has non-integer default value "${defaultValue}"`);
+                } else if (defaultValue < range.min || defaultValue > range.max) {
+                    error("defaultValue", `Integer column has out-of-range default value "${defaultValue}"`);
+                } else if ((minimum != undefined && defaultValue < minimum) || (maximum != undefined && defaultValue > maximum)) {
+                    warning("defaultValue", `Integer column default value "${defaultValue}" is outside of its minimum and maximum values`);
+                }
+            }
+        }
+
+        function validateSerialColumn(col, error) {
+            if (INTEGER_SIZES.indexOf(col.size) < 0) {
+                error("size", `Serial column has invalid size "${col.size}"`);
+            }
+        }
+
+        function validateTimestampColumn(col, error) {
+            let defaultValue = col.defaultValue;
+            if (defaultValue != undefined) {
+                if (!col.unsigned) {
+                    error("defaultValue", `Default values for signed timestamps are not allowed`);
+                } else if (defaultValue !== 0) {
+                    error("defaultValue", `Timestamp column has non-zero default value "${defaultValue}"`);
+                }
+            }
+        }
+
+        function validateRegExp(col, field, error) {
+            if (col[field] == undefined) {
+                return;
+            }
+            // RegExp() accepts anything, converting it to a string first
+            if (typeof col[field] != "string") {
+                error(field, `Regular expression must be a string`);
+                return;
+            }
+            try {
+                new RegExp(col[field]);
+            } catch (err) {
+                error(field, `Invalid regular expression: ${err.message}`);
+            }
+        }
+
+        function validateStringColumn(col, error, warning) {
+            let minimumLength = col.minLength;
+            let maximumLength = col.maxLength;
+
+            if (!Number.isSafeInteger(maximumLength)) {
+                error("maxLength", `String column has non-integer maximum length "${maximumLength}"`);
+            } else if (maximumLength < 1) {
+                error("maxLength", `String column has out-of-range maximum length`);
+            }
+
+            if (minimumLength != undefined) {
+                if (!Number.isSafeInteger(minimumLength)) {
+                    error("minLength", `String column has non-integer minimum length "${minimumLength}"`);
+                } else if (minimumLength < 1 || minimumLength > maximumLength) {
+                    error("minLength", `String column has out-of-range minimum length`);
+                }
+            }
+
+            validateRegExp(col, "regexpMatch", error);
+            validateRegExp(col, "regexpNotMatch", error);
+
+            let defaultValue = col.defaultValue;
+            if (defaultValue != undefined) {
+                if (defaultValue !== "''" && defaultValue !== '""') {
+                    error("defaultValue", `String column has non-empty literal string default value "${defaultValue}"`);
+                } else if (minimumLength != undefined) {
+                    warning("defaultValue", `String column default value is shorter than its minimum length`);
+                }
+            }
+        }
+
+        function validateBinaryColumn(col, error) {
+            let minimumSize = col.minSize;
+            let maximumSize = col.maxSize;
+
+            if (!Number.isSafeInteger(maximumSize)) {
+                error("maxSize", `Binary column has non-integer maximum length "${maximumSize}"`);
+            } else if (maximumSize < 1) {
+                error("maxSize", `Binary column has out-of-range maximum length`);
+            }
+
+            if (minimumSize != undefined) {
+                if (!Number.isSafeInteger(minimumSize)) {
+                    error("minSize", `Binary column has non-integer minimum length "${minimumSize}"`);
+                } else if (minimumSize < 1 || minimumSize > maximumSize) {
+                    error("minSize", `Binary column has out-of-range minimum length`);
+                }
+            }
+
+            let defaultValue = col.defaultValue;
+            if (defaultValue != undefined) {
+                if (!/^0x[0-9a-fA-F]+$/.test(defaultValue) && defaultValue != "''" && defaultValue != '""') {
+                    error("defaultValue", `Invalid default value for binary column "${defaultValue}"`);
+                }
+            }
+        }
+
+        function validateDecimalColumn(col, error, warning) {
+            let precision = col.precision;
+            let scale = col.scale;
+
+            if (!Number.isSafeInteger(precision) || precision < 1 || precision > DECIMAL_MAX_PRECISION) {
+                error("precision", `Decimal column has invalid precision "${precision}"`);
+                return;
+            }
+            if (!Number.isSafeInteger(scale) || scale < 0 || scale > DECIMAL_MAX_SCALE || scale > precision) {
+                error("scale", `Decimal column has invalid scale "${scale}"`);
+                return;
+            }
+
+            let range = decimalRange(precision, scale, col.unsigned);
+            let digits = new RegExp(`^-?[0-9]{1,${Math.max(precision - scale, 1)}}${scale ? `(\\.[0-9]{1,${scale}})?` : ""}$`);
+            let checkValue = (field, description) => {
+                let value = col[field];
+                if (value == undefined) {
+                    return;
+                }
+                if (typeof value != "string" || !digits.test(value)) {
+                    error(field, `Decimal column has ${description} value "${value}" that isn't a decimal with at most ${precision - scale} integer and ${scale} fractional digits`);
+                } else if (Number(value) < Number(range.min) || Number(value) > Number(range.max)) {
+                    error(field, `Decimal column has out-of-range ${description} value "${value}"`);
+                }
+            };
+
+            checkValue("minValue", "minimum");
+            checkValue("maxValue", "maximum");
+            checkValue("defaultValue", "default");
+
+            let minimum = col.minValue;
+            let maximum = col.maxValue;
+            if (minimum != undefined && maximum != undefined && Number(minimum) > Number(maximum)) {
+                error("minValue", `Decimal column has minimum value greater than maximum value`);
+            }
+
+            let defaultValue = col.defaultValue;
+            if (defaultValue != undefined && ((minimum != undefined && Number(defaultValue) < Number(minimum)) || (maximum != undefined && Number(defaultValue) > Number(maximum)))) {
+                warning("defaultValue", `Decimal column default value "${defaultValue}" is outside of its minimum and maximum values`);
+            }
+        }
+
+        function validateFloatColumn(col, error, warning) {
+            let limit = FLOAT_MAX[col.size];
+            if (limit == undefined) {
+                error("size", `Float column has invalid size "${col.size}"`);
+                return;
+            }
+
+            let checkValue = (field, description) => {
+                let value = col[field];
+                if (value == undefined) {
+                    return;
+                }
+                if (typeof value != "number" || !Number.isFinite(value)) {
+                    error(field, `Float column has non-numeric ${description} value "${value}"`);
+                } else if (Math.abs(value) > limit) {
+                    error(field, `Float column has out-of-range ${description} value "${value}"`);
+                }
+            };
+
+            checkValue("minValue", "minimum");
+            checkValue("maxValue", "maximum");
+            checkValue("defaultValue", "default");
+
+            let minimum = col.minValue;
+            let maximum = col.maxValue;
+            if (minimum != undefined && maximum != undefined && minimum > maximum) {
+                error("minValue", `Float column has minimum value greater than maximum value`);
+            }
+
+            let defaultValue = col.defaultValue;
+            if (defaultValue != undefined && ((minimum != undefined && defaultValue < minimum) || (maximum != undefined && defaultValue > maximum))) {
+                warning("defaultValue", `Float column default value "${defaultValue}" is outside of its minimum and maximum values`);
+            }
+        }
+
+        function validateTextColumn(col, error, warning) {
+            let capacity = TEXT_SIZES[col.size];
+            if (capacity == undefined) {
+                error("size", `Text column has invalid size "${col.size}"`);
+                return;
+            }
+
+            let minimumLength = col.minLength;
+            let maximumLength = col.maxLength;
+
+            if (maximumLength != undefined) {
+                if (!Number.isSafeInteger(maximumLength) || maximumLength < 1 || maximumLength > capacity) {
+                    error("maxLength", `Text column has out-of-range maximum length "${maximumLength}"`);
+                } else if (maximumLength * 4 > capacity) {
+                    warning("maxLength", `Text column maximum length may not fit in ${col.size} when it contains multibyte characters`);
+                }
+            }
+
+            if (minimumLength != undefined) {
+                if (!Number.isSafeInteger(minimumLength) || minimumLength < 1 || minimumLength > (maximumLength != undefined ? maximumLength : capacity)) {
+                    error("minLength", `Text column has out-of-range minimum length "${minimumLength}"`);
+                }
+            }
+
+            validateRegExp(col, "regexpMatch", error);
+            validateRegExp(col, "regexpNotMatch", error);
+        }
+
+        function validateBlobColumn(col, error) {
+            let capacity = BLOB_SIZES[col.size];
+            if (capacity == undefined) {
+                error("size", `Blob column has invalid size "${col.size}"`);
+                return;
+            }
+
+            let minimumSize = col.minSize;
+            let maximumSize = col.maxSize;
+
+            if (maximumSize != undefined) {
+                if (!Number.isSafeInteger(maximumSize) || maximumSize < 1 || maximumSize > capacity) {
+                    error("maxSize", `Blob column has out-of-range maximum size "${maximumSize}"`);
+                }
+            }
+
+            if (minimumSize != undefined) {
+                if (!Number.isSafeInteger(minimumSize) || minimumSize < 1 || minimumSize > (maximumSize != undefined ? maximumSize : capacity)) {
+                    error("minSize", `Blob column has out-of-range minimum size "${minimumSize}"`);
+                }
+            }
+        }
+
+        // Dates and datetimes are ISO 8601 strings, which compare in the same order as the values they represent
+        function validateDateColumn(col, error, warning) {
+            ["minValue", "maxValue", "defaultValue"].forEach(field => {
+                if (col[field] != undefined && !isValidDate(col[field])) {
+                    error(field, `Date column has invalid ${field} "${col[field]}", expected YYYY-MM-DD between ${DATE_MIN} and ${DATE_MAX}`);
+                }
+            });
+
+            if (col.minValue != undefined && col.maxValue != undefined && col.minValue > col.maxValue) {
+                error("minValue", `Date column has minimum value later than maximum value`);
+            }
+
+            let defaultValue = col.defaultValue;
+            if (defaultValue != undefined && ((col.minValue != undefined && defaultValue < col.minValue) || (col.maxValue != undefined && defaultValue > col.maxValue))) {
+                warning("defaultValue", `Date column default value "${defaultValue}" is outside of its minimum and maximum values`);
+            }
+        }
+
+        function validateDatetimeColumn(col, error, warning) {
+            let precision = col.precision;
+            if (!Number.isSafeInteger(precision) || precision < 0 || precision > DATETIME_MAX_PRECISION) {
+                error("precision", `Datetime column has invalid fractional seconds precision "${precision}"`);
+                return;
+            }
+
+            ["minValue", "maxValue", "defaultValue"].forEach(field => {
+                let value = col[field];
+                if (value == undefined || (field == "defaultValue" && value == "CURRENT_TIMESTAMP")) {
+                    return;
+                }
+                if (!isValidDatetime(value, precision)) {
+                    error(field, `Datetime column has invalid ${field} "${value}", expected YYYY-MM-DD HH:MM:SS with at most ${precision} fractional digits`);
+                }
+            });
+
+            if (col.minValue != undefined && col.maxValue != undefined && col.minValue > col.maxValue) {
+                error("minValue", `Datetime column has minimum value later than maximum value`);
+            }
+
+            let defaultValue = col.defaultValue;
+            if (defaultValue != undefined && defaultValue != "CURRENT_TIMESTAMP" && ((col.minValue != undefined && defaultValue < col.minValue) || (col.maxValue != undefined && defaultValue > col.maxValue))) {
+                warning("defaultValue", `Datetime column default value "${defaultValue}" is outside of its minimum and maximum values`);
+            }
+        }
+
+        function validateBooleanColumn(col, error) {
+            let defaultValue = col.defaultValue;
+            if (defaultValue != undefined) {
+                if (defaultValue !== 0 && defaultValue !== 1) {
+                    error("defaultValue", `Boolean column has invalid default value "${defaultValue}"`);
+                }
+            }
+        }
+
+        function validateCodeColumn(col, error) {
+            let values = col.values || [];
+            if (!values.length) {
+                error("values", `Code column has no values`);
+                return;
+            }
+
+            let valueCodes = new Set();
+            let valueNames = new Set();
+            values.forEach(val => {
+                let code = val.code;
+                let name = val.value;
+
+                if (!Number.isSafeInteger(code) || code < 0) {
+                    error("values", `Code column has invalid value code "${code}"`);
+                } else if (code > 255) {
+                    error("values", `Code column contains too large value code "${code}"`);
+                }
+
+                if (!/^[A-Z0-9_]+$/.test(name)) {
+                    error("values", `Code column has invalid value name "${name}"`);
+                }
+
+                if (valueCodes.has(code)) {
+                    error("values", `Code column contains duplicate value code "${code}"`);
+                }
+
+                if (valueNames.has(name)) {
+                    error("values", `Code column contains duplicate value name "${name}"`);
+                }
+
+                valueCodes.add(code);
+                valueNames.add(name);
+            });
+
+            let defaultValue = col.defaultValue;
+            if (defaultValue != undefined) {
+                if (!valueCodes.has(defaultValue)) {
+                    error("defaultValue", `Code column has unknown default value "${defaultValue}"`);
+                }
+            }
+        }
+
+        function validateFKColumn(col, table, database, error) {
+            let target = resolveFKTarget(col, database, databases);
+            if (target.error) {
+                error("column", target.error);
+                return;
+            }
+
+            if (target.column.nullable) {
+                error("column", `FK reference column is nullable, not suitable for FK reference`);
+            }
+
+            if (!FK_TARGET_TYPES.has(target.column.type)) {
+                error("column", `FK reference column has type not suitable as FK reference`);
+            }
+
+            if (!isInstance(table, database) && isInstance(target.table, target.database)) {
+                error("column", `Fixed table cannot reference instance table "${target.table.name}"`);
+            }
+
+            if (col.ondelete != undefined && !FK_ACTIONS.has(col.ondelete)) {
+                error("ondelete", `Unrecognised on delete action "${col.ondelete}"`);
+            }
+
+            if (col.ondelete == "SET NULL" && !col.nullable) {
+                error("nullable", `FK column must be nullable to be set to NULL on delete`);
+            }
+
+            if (col.onupdate != undefined && !FK_ACTIONS.has(col.onupdate)) {
+                error("onupdate", `Unrecognised on update action "${col.onupdate}"`);
+            }
+
+            if (col.onupdate == "SET NULL" && !col.nullable) {
+                error("nullable", `FK column must be nullable to be set to NULL on update`);
+            }
+
+            if (col.group != undefined && !/^[a-zA-Z0-9_]+$/.test(col.group)) {
+                error("group", `Invalid FK group name "${col.group}"`);
+            }
+
+            if (col.defaultValue != undefined) {
+                if (!Number.isSafeInteger(col.defaultValue)) {
+                    error("defaultValue", `Invalid FK default value`);
+                } else if (!FK_DEFAULT_TARGET_TYPES.has(target.column.type)) {
+                    error("defaultValue", `FK default values are only supported when referencing integer and code columns`);
+                }
+            }
+        }
+
+        // Checks that the columns of each foreign key reference one key of one table, with the same actions
+        function validateForeignKeyGroups(table, database, columnErrors, columnWarnings) {
+            foreignKeyGroups(table).forEach(group => {
+                let members = group.columns.map(col => ({
+                    col: col,
+                    idx: table.columns.indexOf(col),
+                    target: resolveFKTarget(col, database, databases),
+                }));
+                if (members.some(m => m.target.error)) {
+                    return;
+                }
+
+                let first = members[0];
+                let problem = null;
+                if (members.some(m => m.target.table !== first.target.table)) {
+                    problem = `FK group "${group.name}" references more than one table`;
+                } else if (new Set(members.map(m => m.target.column)).size != members.length) {
+                    problem = `FK group "${group.name}" references the same column more than once`;
+                }
+                if (problem) {
+                    members.forEach(m => columnErrors[m.idx]("group", problem));
+                    return;
+                }
+
+                ["ondelete", "onupdate"].forEach(field => {
+                    members.filter(m => (m.col[field] || "NO ACTION") != (first.col[field] || "NO ACTION")).forEach(m => {
+                        columnErrors[m.idx](field, `FK group "${group.name}" has columns with different ${field} actions`);
+                    });
+                });
+
+                if (!findKeyIndex(first.target.table, members.map(m => m.target.column.name))) {
+                    if (group.composite) {
+                        members.forEach(m => columnErrors[m.idx]("group", `FK group "${group.name}" does not reference all columns of a primary key or unique index of "${first.target.table.name}"`));
+                    } else {
+                        columnWarnings[first.idx]("column", `FK reference column is not a primary key or unique index on its own, which PostgreSQL and SQLite require`);
+                    }
+                }
+            });
+        }
+
+        function validateIndexes(table, tablePath, tableLocation) {
+            let hasPrimary = false;
+            let indexNames = new Set();
+            let indexes = table.indexes || [];
+
+            indexes.forEach((idx, idxIdx) => {
+                let idxLocation = Object.assign({ index: idxIdx }, tableLocation);
+                let idxError = message => report(errors, tablePath.concat(`indexes[${idxIdx}]`), idxLocation, message);
+
+                if (!INDEX_TYPES.has(idx.type)) {
+                    idxError(`Unrecognised index type "${idx.type}"`);
+                }
+
+                if (idx.type == "primary") {
+                    if (hasPrimary) {
+                        idxError(`Table has more than one primary key`);
+                    }
+                    hasPrimary = true;
+                    if (idx.name != undefined) {
+                        idxError(`Primary keys cannot be named`);
+                    }
+                } else if (idx.name != undefined && (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(idx.name) || idx.name.length > MAX_NAME_LENGTH)) {
+                    idxError(`Invalid index name "${idx.name}"`);
+                }
+
+                if (!idx.columns || !idx.columns.length) {
+                    idxError(`Index has no columns`);
+                    return;
+                }
+
+                let name = indexName(idx);
+                if (indexNames.has(name)) {
+                    idxError(`Duplicate index name "${name}"${idx.name ? "" : ", give one of the indexes a name"}`);
+                }
+                indexNames.add(name);
+
+                if (idx.type == "spatial") {
+                    idxError(`SPATIAL indexes need a geometry column, which no column type provides yet`);
+                }
+
+                let indexedNames = new Set();
+                indexColumns(idx).forEach(c => {
+                    let col = (table.columns || []).find(col => col.name === c.name);
+                    if (!col) {
+                        idxError(`Index refers to non-existent column "${c.name}"`);
+                        return;
+                    }
+                    if (indexedNames.has(c.name)) {
+                        idxError(`Index contains column "${c.name}" more than once`);
+                    }
+                    indexedNames.add(c.name);
+
+                    if (!INDEX_ORDERS.has(c.order)) {
+                        idxError(`Index column "${c.name}" has unrecognised order "${c.order}"`);
+                    }
+
+                    if (idx.type == "fulltext") {
+                        if (!FULLTEXT_TYPES.has(col.type)) {
+                            idxError(`FULLTEXT index refers to ${col.type} column "${c.name}", only string and text columns can be used`);
+                        }
+                        if (c.order != "ASC" || c.length != undefined) {
+                            idxError(`FULLTEXT index column "${c.name}" cannot have an order or prefix length`);
+                        }
+                        return;
+                    }
+
+                    if (col.type == "json") {
+                        idxError(`Index refers to json column "${c.name}", which cannot be indexed`);
+                    } else if (c.length != undefined) {
+                        let maximum = col.type == "string" || col.type == "text" ? col.maxLength : col.maxSize;
+                        if (!PREFIX_INDEX_TYPES.has(col.type)) {
+                            idxError(`Index column "${c.name}" has a prefix length, but only string, binary, text and blob columns can have one`);
+                        } else if (!Number.isSafeInteger(c.length) || c.length < 1 || (maximum != undefined && c.length > maximum)) {
+                            idxError(`Index column "${c.name}" has out-of-range prefix length "${c.length}"`);
+                        }
+                    } else if (PREFIX_REQUIRED_TYPES.has(col.type)) {
+                        idxError(`Index column "${c.name}" is a ${col.type} column, so it needs a prefix length`);
+                    }
+                });
+            });
+
+            // An index is redundant when its columns are a prefix of another index's, as that one can be used instead; unique
+            // indexes are only redundant when they duplicate a key, as they also constrain the data
+            let signature = c => `${c.name} ${c.order} ${c.length}`;
+            let btreeTypes = new Set(["primary", "unique", "index"]);
+            indexes.forEach((idx, idxIdx) => {
+                if ((idx.type != "index" && idx.type != "unique") || !idx.columns || !idx.columns.length) {
+                    return;
+                }
+                let columns = indexColumns(idx).map(signature);
+                let covering = indexes.find((other, otherIdx) => {
+                    if (otherIdx == idxIdx || !btreeTypes.has(other.type)) {
+                        return false;
+                    }
+                    let otherColumns = indexColumns(other).map(signature);
+                    let isPrefix = otherColumns.length >= columns.length && columns.every((c, i) => c === otherColumns[i]);
+                    if (!isPrefix) {
+                        return false;
+                    }
+                    if (otherColumns.length > columns.length) {
+                        return idx.type == "index";
+                    }
+                    // Of two identical indexes, the one that constrains less is reported, or else the later one
+                    return other.type == "primary" || (other.type == idx.type ? otherIdx < idxIdx : other.type == "unique");
+                });
+                if (covering) {
+                    report(warnings, tablePath.concat(`indexes[${idxIdx}]`), Object.assign({ index: idxIdx }, tableLocation),
+                        `Index "${indexName(idx)}" is redundant as its columns are a prefix of ${covering.type == "primary" ? "the primary key" : `index "${indexName(covering)}"`}`);
+                }
+            });
+        }
+
+        validateStructure();
+        if (errors.length) {
+            return {
+                errors: errors,
+                warnings: warnings,
+            };
+        }
+
+        let databaseNames = new Set();
+
+        databases.forEach((database, dbIdx) => {
+            let dbPath = [nameOf(database, dbIdx)];
+            let dbLocation = { database: dbIdx };
+            let dbError = (field, message) => report(errors, dbPath.concat(field), Object.assign({ field: field }, dbLocation), message);
+
+            if (!/^[a-z_]+$/.test(database.name)) {
+                dbError("name", `Invalid database name "${database.name}"`);
+            } else if (databaseNames.has(database.name)) {
+                dbError("name", `Duplicate database name "${database.name}"`);
+            }
+            databaseNames.add(database.name);
+
+            if (database.type != "fixed" && database.type != "instance") {
+                dbError("type", `Unrecognised database type "${database.type}"`);
+            }
+
+            let tableNames = new Set();
+
+            (database.tables || []).forEach((table, tableIdx) => {
+                let tablePath = dbPath.concat(nameOf(table, tableIdx));
+                let tableLocation = Object.assign({ table: tableIdx }, dbLocation);
+                let tableError = (field, message) => report(errors, tablePath.concat(field), Object.assign({ field: field }, tableLocation), message);
+
+                if (!/^[a-z_]+$/.test(table.name)) {
+                    tableError("name", `Invalid table name "${table.name}"`);
+                } else if (tableNames.has(table.name)) {
+                    tableError("name", `Duplicate table name "${table.name}"`);
+                }
+                tableNames.add(table.name);
+
+                if (table.type != "fixed" && table.type != "instance") {
+                    tableError("type", `Unrecognised table type "${table.type}"`);
+                }
+
+                let columnNames = new Set();
+                let columnErrors = [];
+                let columnWarnings = [];
+
+                (table.columns || []).forEach((col, colIdx) => {
+                    let colPath = tablePath.concat(nameOf(col, colIdx));
+                    let colLocation = Object.assign({ column: colIdx }, tableLocation);
+                    let error = (field, message) => report(errors, colPath.concat(field), Object.assign({ field: field }, colLocation), message);
+                    let warning = (field, message) => report(warnings, colPath.concat(field), Object.assign({ field: field }, colLocation), message);
+                    columnErrors[colIdx] = error;
+                    columnWarnings[colIdx] = warning;
+
+                    if (!/^[a-z][a-zA-Z0-9]+$/.test(col.name)) {
+                        error("name", `Invalid table column name "${col.name}"`);
+                    } else if (columnNames.has(col.name)) {
+                        error("name", `Duplicate table column name "${col.name}"`);
+                    }
+                    columnNames.add(col.name);
+
+                    switch (col.type) {
+                        case "FK":
+                            validateFKColumn(col, table, database, error);
+                            break;
+
+                        case "integer":
+                            validateIntegerColumn(col, error, warning);
+                            break;
+
+                        case "serial":
+                            validateSerialColumn(col, error);
+                            break;
+
+                        case "timestamp":
+                            validateTimestampColumn(col, error);
+                            break;
+
+                        case "string":
+                            validateStringColumn(col, error, warning);
+                            break;
+
+                        case "binary":
+                            validateBinaryColumn(col, error);
+                            break;
+
+                        case "boolean":
+                            validateBooleanColumn(col, error);
+                            break;
+
+                        case "code":
+                            validateCodeColumn(col, error);
+                            break;
+
+                        case "decimal":
+                            validateDecimalColumn(col, error, warning);
+                            break;
+
+                        case "float":
+                            validateFloatColumn(col, error, warning);
+                            break;
+
+                        case "text":
+                            validateTextColumn(col, error, warning);
+                            break;
+
+                        case "blob":
+                            validateBlobColumn(col, error);
+                            break;
+
+                        case "date":
+                            validateDateColumn(col, error, warning);
+                            break;
+
+                        case "datetime":
+                            validateDatetimeColumn(col, error, warning);
+                            break;
+
+                        case "json":
+                        case "uuid":
+                            break;
+
+                        default:
+                            error("type", `Unknown table column type "${col.type}"`);
+                    }
+                });
+
+                validateForeignKeyGroups(table, database, columnErrors, columnWarnings);
+
+                validateIndexes(table, tablePath, tableLocation);
+            });
+        });
+
+        return {
+            errors: errors,
+            warnings: warnings,
+        };
+    }
+
+    function formatProblems(problems) {
+        return problems.map(p => `${p.path}: ${p.message}`).join('\n');
+    }
+
+    return {
+        INTEGER_SIZES: INTEGER_SIZES,
+        TEXT_SIZES: TEXT_SIZES,
+        BLOB_SIZES: BLOB_SIZES,
+        FLOAT_MAX: FLOAT_MAX,
+        UUID_PATTERN: UUID_PATTERN,
+        FK_TARGET_TYPES: FK_TARGET_TYPES,
+        integerRange: integerRange,
+        decimalRange: decimalRange,
+        isInstance: isInstance,
+        resolveFKTarget: resolveFKTarget,
+        foreignKeyGroups: foreignKeyGroups,
+        indexColumns: indexColumns,
+        indexColumnNames: indexColumnNames,
+        indexName: indexName,
+        findKeyIndex: findKeyIndex,
+        parseFKReference: parseFKReference,
+        renameFKReference: renameFKReference,
+        findUsages: findUsages,
+        validate: validate,
+        formatProblems: formatProblems,
+    };
+});